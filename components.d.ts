@@ -8,8 +8,14 @@ export {}
 /* prettier-ignore */
 declare module 'vue' {
   export interface GlobalComponents {
+    CacheManager: typeof import('./src/components/CacheManager.vue')['default']
+    ChartExportMenu: typeof import('./src/components/ChartExportMenu.vue')['default']
+    ChartStatus: typeof import('./src/components/ChartStatus.vue')['default']
+    ConnectivityBanner: typeof import('./src/components/ConnectivityBanner.vue')['default']
+    FigureExportDialog: typeof import('./src/components/FigureExportDialog.vue')['default']
     RouterLink: typeof import('vue-router')['RouterLink']
     RouterView: typeof import('vue-router')['RouterView']
     SidePanel: typeof import('./src/components/SidePanel.vue')['default']
+    YearSelector: typeof import('./src/components/YearSelector.vue')['default']
   }
 }
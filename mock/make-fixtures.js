@@ -0,0 +1,178 @@
+/**
+ * mock/make-fixtures.js
+ *
+ * Writes the synthetic fixtures in mock/fixtures: six transects in three
+ * areas with JARKUS-like profiles and the BKL/TKL, MKL, MHW/MLW and dune
+ * foot series derived from them. Output is deterministic, so the files
+ * only change when this script does.
+ *
+ * Usage: node mock/make-fixtures.js
+ */
+
+import { mkdir, writeFile } from 'node:fs/promises'
+import { dirname } from 'node:path'
+import { fileURLToPath } from 'node:url'
+
+const FIXTURES = fileURLToPath(new URL('fixtures/', import.meta.url))
+const FILL = -9999
+const TIME_UNITS = 'days since 1970-01-01 00:00:00 +00:00'
+
+const TRANSECTS = [
+  { id: 7_003_800, areaname: 'Noord-Holland', lat: 52.6321, lon: 4.6253, x: 104_412.3, y: 521_871.9, mhw: 1.02, mlw: -0.78, trend: 0.9 },
+  { id: 7_003_900, areaname: 'Noord-Holland', lat: 52.6409, lon: 4.6301, x: 104_760.8, y: 522_846.2, mhw: 1.02, mlw: -0.78, trend: -0.6 },
+  { id: 7_004_000, areaname: 'Noord-Holland', lat: 52.6497, lon: 4.6349, x: 105_109.4, y: 523_820.5, mhw: 1.03, mlw: -0.79, trend: -1.4 },
+  { id: 8_009_325, areaname: 'Rijnland', lat: 52.2412, lon: 4.4318, x: 91_212.7, y: 478_603.1, mhw: 0.98, mlw: -0.71, trend: 0.3 },
+  { id: 8_009_400, areaname: 'Rijnland', lat: 52.2478, lon: 4.4362, x: 91_521, y: 479_334.8, mhw: 0.98, mlw: -0.71, trend: 1.8 },
+  { id: 9_010_000, areaname: 'Delfland', lat: 52.0914, lon: 4.2587, x: 79_218.4, y: 461_442.6, mhw: 0.95, mlw: -0.66, trend: -0.2 },
+]
+
+// Surveys every five years; the derived series are yearly
+const SURVEY_YEARS = Array.from({ length: 12 }, (_, i) => 1965 + 5 * i)
+const SERIES_YEARS = Array.from({ length: 56 }, (_, i) => 1965 + i)
+const CROSS_SHORE = Array.from({ length: 121 }, (_, i) => -200 + 10 * i)
+
+// Deterministic noise in [-1, 1]
+let seed = 42
+function noise () {
+  seed = (seed * 1_103_515_245 + 12_345) % 2_147_483_648
+  return seed / 1_073_741_824 - 1
+}
+
+function round (v, digits = 2) {
+  const k = 10 ** digits
+  return Math.round(v * k) / k
+}
+
+function daysSinceEpoch (year, month = 6, day = 1) {
+  return Date.UTC(year, month, day) / 86_400_000
+}
+
+// Seaward shift of the profile: a steady trend plus a nourishment in 1990 on every other transect
+function shoreline (k, year) {
+  const { trend } = TRANSECTS[k]
+  return trend * (year - 1965) + (k % 2 === 0 && year >= 1990 ? 30 : 0)
+}
+
+// Dune, beach and shoreface with a breaker bar, in m NAP
+function altitude (k, year, x) {
+  const u = x - shoreline(k, year)
+  const z = 1 - 0.015 * u + 10 / (1 + Math.exp((u + 120) / 12)) - Math.exp(-(((u - 350) / 60) ** 2))
+  return round(Math.max(-12, z) + 0.05 * noise())
+}
+
+function time (years) {
+  return {
+    type: 'Float64',
+    dims: ['time'],
+    attributes: { standard_name: 'time', units: TIME_UNITS },
+    data: years.map(year => daysSinceEpoch(year)),
+  }
+}
+
+function series (longName, value) {
+  const data = []
+  for (const year of SERIES_YEARS) {
+    for (const k of TRANSECTS.keys()) {
+      data.push(value(k, year))
+    }
+  }
+  return { type: 'Float64', dims: ['time', 'alongshore'], attributes: { long_name: longName, units: 'm', _FillValue: FILL }, data }
+}
+
+function transectFixture () {
+  const profiles = []
+  for (const [t, year] of SURVEY_YEARS.entries()) {
+    for (const k of TRANSECTS.keys()) {
+      // The first survey stops short of the deeper shoreface
+      profiles.push(...CROSS_SHORE.map(x => (t === 0 && x > 600 ? null : altitude(k, year, x))))
+    }
+  }
+  // Beach flown in spring, sea bed sounded over the summer; the first survey has no sounding
+  const surveyDates = date => {
+    const data = []
+    for (const [t, year] of SURVEY_YEARS.entries()) {
+      for (const k of TRANSECTS.keys()) {
+        data.push(date(t, year, k))
+      }
+    }
+    return data
+  }
+  const perTransect = (type, value, attributes = {}) => ({ type, dims: ['alongshore'], attributes, data: TRANSECTS.map(t => value(t)) })
+
+  return {
+    dimensions: { time: SURVEY_YEARS.length, alongshore: TRANSECTS.length, cross_shore: CROSS_SHORE.length },
+    variables: {
+      id: perTransect('Int32', t => t.id, { long_name: 'identifier' }),
+      areacode: perTransect('Int32', t => Math.floor(t.id / 1_000_000), { long_name: 'area code' }),
+      areaname: perTransect('String', t => t.areaname, { long_name: 'area name' }),
+      alongshore: perTransect('Int32', t => t.id % 1_000_000, { long_name: 'alongshore coordinate', units: 'm' }),
+      rsp_x: perTransect('Float64', t => t.x, { long_name: 'RSP x (RD)', units: 'm' }),
+      rsp_y: perTransect('Float64', t => t.y, { long_name: 'RSP y (RD)', units: 'm' }),
+      rsp_lat: perTransect('Float64', t => t.lat, { units: 'degrees_north' }),
+      rsp_lon: perTransect('Float64', t => t.lon, { units: 'degrees_east' }),
+      mean_high_water: perTransect('Float64', t => t.mhw, { units: 'm' }),
+      mean_low_water: perTransect('Float64', t => t.mlw, { units: 'm' }),
+      cross_shore: { type: 'Float64', dims: ['cross_shore'], attributes: { long_name: 'cross-shore coordinate', units: 'm' }, data: CROSS_SHORE },
+      time: time(SURVEY_YEARS),
+      altitude: {
+        type: 'Float32',
+        dims: ['time', 'alongshore', 'cross_shore'],
+        attributes: { long_name: 'altitude above NAP', units: 'm', _FillValue: FILL },
+        data: profiles,
+      },
+      time_topo: {
+        type: 'Float64',
+        dims: ['time', 'alongshore'],
+        attributes: { long_name: 'measurement date of the topography', units: TIME_UNITS, _FillValue: FILL },
+        data: surveyDates((t, year, k) => daysSinceEpoch(year, 2 + (t % 3), 4 + 3 * k)),
+      },
+      time_bathy: {
+        type: 'Float64',
+        dims: ['time', 'alongshore'],
+        attributes: { long_name: 'measurement date of the bathymetry', units: TIME_UNITS, _FillValue: FILL },
+        data: surveyDates((t, year, k) => (t === 0 ? null : daysSinceEpoch(year, 5 + (t % 4), 10 + 2 * k))),
+      },
+    },
+  }
+}
+
+function seriesFixture (variables) {
+  return {
+    dimensions: { time: SERIES_YEARS.length, alongshore: TRANSECTS.length },
+    variables: { time: time(SERIES_YEARS), ...variables },
+  }
+}
+
+const basal = k => round(shoreline(k, 1990) + 5, 1)
+
+const FILES = {
+  'rijkswaterstaat/jarkus/profiles/transect.nc': transectFixture,
+  'rijkswaterstaat/BKL_TKL_MKL/BKL_TKL_TND.nc': () => seriesFixture({
+    basal_coastline: series('basal coastline', k => basal(k)),
+    // The TKL exists from 2001 on and lies a little landward of the BKL
+    testing_coastline: series('testing coastline', (k, year) => (year >= 2001 ? round(basal(k) - 4, 1) : null)),
+  }),
+  'rijkswaterstaat/BKL_TKL_MKL/MKL.nc': () => seriesFixture({
+    momentary_coastline: series('momentary coastline', (k, year) => round(shoreline(k, year) + 10 + 3 * noise(), 1)),
+  }),
+  'rijkswaterstaat/MHW_MLW/MHW_MLW.nc': () => seriesFixture({
+    mean_high_water_cross: series('mean high water cross-shore position', (k, year) => round(shoreline(k, year) + 2 * noise(), 1)),
+    mean_low_water_cross: series('mean low water cross-shore position', (k, year) => round(shoreline(k, year) + 120 + 4 * noise(), 1)),
+  }),
+  'rijkswaterstaat/DuneFoot/DF.nc': () => seriesFixture({
+    dune_foot_threeNAP_cross: series('dune foot (3 m NAP) cross-shore position', (k, year) => round(shoreline(k, year) - 115 + 2 * noise(), 1)),
+  }),
+}
+
+// One variable per line keeps the files diffable
+function format (fixture) {
+  const variables = Object.entries(fixture.variables).map(([name, v]) => `    ${JSON.stringify(name)}: ${JSON.stringify(v)}`)
+  return `{\n  "dimensions": ${JSON.stringify(fixture.dimensions)},\n  "variables": {\n${variables.join(',\n')}\n  }\n}\n`
+}
+
+for (const [path, build] of Object.entries(FILES)) {
+  const file = `${FIXTURES}${path}.json`
+  await mkdir(dirname(file), { recursive: true })
+  await writeFile(file, format(build()))
+  console.log(`Wrote ${file}`)
+}
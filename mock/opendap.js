@@ -0,0 +1,236 @@
+/**
+ * mock/opendap.js
+ *
+ * DAP2 responses (.dds, .das, .ascii, .dods) computed from a JSON fixture:
+ *
+ *   {
+ *     "dimensions": { "time": 12, "alongshore": 6 },
+ *     "variables": {
+ *       "time": { "type": "Float64", "dims": ["time"], "attributes": { "units": "..." }, "data": [...] }
+ *     }
+ *   }
+ *
+ * `data` is flat and row-major over `dims`; null is written as the
+ * variable's _FillValue (NaN without one). Constraints are projections
+ * with hyperslabs, e.g. `time[0:1:11],altitude[0:1:11][3][0:1:2462]`.
+ * Unlike a real server, stop indices past the end are clamped, so a small
+ * fixture still answers the app's full-catalog requests (`id[0:1:2464]`).
+ */
+
+export class MockDapError extends Error {
+  constructor (status, message) {
+    super(message)
+    this.name = 'MockDapError'
+    this.status = status
+  }
+}
+
+const SEPARATOR = '-'.repeat(45)
+
+/**
+ * Projections of a constraint expression as [{ name, slices }], where each
+ * slice is { start, stride, stop } (stop may be null for "to the end").
+ * An empty expression projects every variable.
+ */
+export function parseConstraint (expression, fixture) {
+  const text = decodeURIComponent(expression || '').trim()
+  if (text === '') {
+    return Object.keys(fixture.variables).map(name => ({ name, slices: [] }))
+  }
+  return text.split(',').map(part => {
+    const m = part.trim().match(/^([\w.]+)((?:\[[^\]]*\])*)$/)
+    if (!m) {
+      throw new MockDapError(400, `Malformed projection "${part}"`)
+    }
+    const slices = [...m[2].matchAll(/\[([^\]]*)\]/g)].map(([, body]) => {
+      const nums = body.split(':').map(Number)
+      if (nums.some(n => !Number.isInteger(n) || n < 0) || nums.length > 3) {
+        throw new MockDapError(400, `Malformed hyperslab "[${body}]" in "${part}"`)
+      }
+      if (nums.length === 1) {
+        return { start: nums[0], stride: 1, stop: nums[0] }
+      }
+      const [start, stride, stop] = nums.length === 2 ? [nums[0], 1, nums[1]] : nums
+      return { start, stride: Math.max(1, stride), stop }
+    })
+    // Grid-style names (altitude.altitude) address the array itself
+    return { name: m[1].split('.').at(-1), slices }
+  })
+}
+
+/**
+ * One projected variable: { name, type, dims, shape, values, attributes },
+ * with `dims` as [{ name, size }] after slicing.
+ */
+export function selectVariable (fixture, { name, slices }) {
+  const variable = fixture.variables[name]
+  if (!variable) {
+    throw new MockDapError(404, `No such variable: ${name}`)
+  }
+  const sizes = variable.dims.map(dim => fixture.dimensions[dim])
+  if (slices.length > 0 && slices.length !== sizes.length) {
+    throw new MockDapError(400, `${name} has ${sizes.length} dimensions, got ${slices.length} hyperslabs`)
+  }
+
+  const indices = sizes.map((size, d) => {
+    const { start, stride, stop } = slices[d] || { start: 0, stride: 1, stop: size - 1 }
+    if (start >= size) {
+      throw new MockDapError(400, `Invalid constraint for ${name}: start >= size: ${start} >= ${size}`)
+    }
+    const out = []
+    for (let i = start; i <= Math.min(stop, size - 1); i += stride) {
+      out.push(i)
+    }
+    return out
+  })
+
+  // Row-major strides of the full array
+  const strides = sizes.map((_, d) => sizes.slice(d + 1).reduce((a, b) => a * b, 1))
+  const values = []
+  const walk = (d, offset) => {
+    if (d === indices.length) {
+      values.push(variable.data[offset] ?? null)
+      return
+    }
+    for (const i of indices[d]) {
+      walk(d + 1, offset + i * strides[d])
+    }
+  }
+  walk(0, 0)
+
+  return {
+    name,
+    type: variable.type,
+    dims: variable.dims.map((dim, d) => ({ name: dim, size: indices[d].length })),
+    shape: indices.map(list => list.length),
+    values,
+    attributes: variable.attributes || {},
+  }
+}
+
+function declaration ({ name, type, dims }) {
+  return `    ${type} ${name}${dims.map(dim => `[${dim.name} = ${dim.size}]`).join('')};`
+}
+
+function ddsText (selections, datasetName) {
+  return ['Dataset {', ...selections.map(v => declaration(v)), `} ${datasetName};`].join('\n')
+}
+
+export function renderDds (fixture, expression, datasetName) {
+  const selections = parseConstraint(expression, fixture).map(p => selectVariable(fixture, p))
+  return ddsText(selections, datasetName) + '\n'
+}
+
+function attributeType (variable, value) {
+  return typeof value === 'number' ? variable.type : 'String'
+}
+
+export function renderDas (fixture) {
+  const lines = ['Attributes {']
+  for (const [name, variable] of Object.entries(fixture.variables)) {
+    lines.push(`    ${name} {`)
+    for (const [key, value] of Object.entries(variable.attributes || {})) {
+      const text = typeof value === 'number' ? String(value) : `"${String(value).replaceAll('"', String.raw`\"`)}"`
+      lines.push(`        ${attributeType(variable, value)} ${key} ${text};`)
+    }
+    lines.push('    }')
+  }
+  lines.push('}')
+  return lines.join('\n') + '\n'
+}
+
+function formatValue (variable, value) {
+  if (variable.type === 'String') {
+    return `"${value ?? ''}"`
+  }
+  if (value == null) {
+    return String(variable.attributes._FillValue ?? Number.NaN)
+  }
+  return String(value)
+}
+
+// Values of one variable as the .ascii payload: 1-D on one line, otherwise one row per leading index
+function asciiBlock (variable) {
+  const header = `${variable.name}${variable.shape.map(n => `[${n}]`).join('')}`
+  const text = variable.values.map(v => formatValue(variable, v))
+  if (variable.shape.length <= 1) {
+    return [header, text.join(', ')].join('\n')
+  }
+  const rowLength = variable.shape.at(-1)
+  const lead = variable.shape.slice(0, -1)
+  const rows = []
+  for (let r = 0; r * rowLength < text.length; r++) {
+    let rest = r
+    const prefix = lead.toReversed().map(size => {
+      const i = rest % size
+      rest = Math.floor(rest / size)
+      return `[${i}]`
+    }).toReversed().join('')
+    rows.push(`${prefix}, ${text.slice(r * rowLength, (r + 1) * rowLength).join(', ')}`)
+  }
+  return [header, ...rows].join('\n')
+}
+
+export function renderAscii (fixture, expression, datasetName) {
+  const selections = parseConstraint(expression, fixture).map(p => selectVariable(fixture, p))
+  return [ddsText(selections, datasetName), SEPARATOR, ...selections.map(v => asciiBlock(v) + '\n')].join('\n')
+}
+
+/* -------------------- Binary (.dods) -------------------- */
+// XDR width of each fixture type; String is length-prefixed and padded instead
+const XDR_TYPES = {
+  Int32: { size: 4, write: (view, o, v) => view.setInt32(o, v) },
+  Float32: { size: 4, write: (view, o, v) => view.setFloat32(o, v) },
+  Float64: { size: 8, write: (view, o, v) => view.setFloat64(o, v) },
+}
+
+function xdrUint32 (value) {
+  const bytes = new Uint8Array(4)
+  new DataView(bytes.buffer).setUint32(0, value)
+  return bytes
+}
+
+function xdrString (text) {
+  const encoded = new TextEncoder().encode(text)
+  const bytes = new Uint8Array(4 + Math.ceil(encoded.length / 4) * 4)
+  bytes.set(xdrUint32(encoded.length))
+  bytes.set(encoded, 4)
+  return bytes
+}
+
+// One projected variable as XDR: arrays carry their length (twice for numbers), scalars do not
+function xdrVariable (variable) {
+  const n = variable.values.length
+  const prefix = variable.shape.length === 0 ? [] : [xdrUint32(n)]
+  if (variable.type === 'String') {
+    return [...prefix, ...variable.values.map(v => xdrString(v ?? ''))]
+  }
+  const xdr = XDR_TYPES[variable.type]
+  if (!xdr) {
+    throw new MockDapError(500, `No XDR encoding for ${variable.type}`)
+  }
+  const bytes = new Uint8Array(n * xdr.size)
+  const view = new DataView(bytes.buffer)
+  for (const [i, v] of variable.values.entries()) {
+    xdr.write(view, i * xdr.size, v ?? variable.attributes._FillValue ?? Number.NaN)
+  }
+  return variable.shape.length === 0 ? [bytes] : [...prefix, xdrUint32(n), bytes]
+}
+
+// Constrained DDS, the "Data:" marker and the XDR payload, as a Uint8Array
+export function renderDods (fixture, expression, datasetName) {
+  const selections = parseConstraint(expression, fixture).map(p => selectVariable(fixture, p))
+  const parts = [new TextEncoder().encode(`${ddsText(selections, datasetName)}\nData:\n`), ...selections.flatMap(v => xdrVariable(v))]
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0))
+  let offset = 0
+  for (const part of parts) {
+    out.set(part, offset)
+    offset += part.length
+  }
+  return out
+}
+
+// DAP2 error document, as servers send it with a 4xx/5xx status
+export function renderError (message, status = 500) {
+  return `Error {\n    code = ${status};\n    message = "${String(message).replaceAll('"', String.raw`\"`)}";\n};\n`
+}
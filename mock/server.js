@@ -0,0 +1,94 @@
+/**
+ * mock/server.js
+ *
+ * Local stand-in for the OpenDAP server, for working offline or against
+ * test data. Serves .dds, .das, .ascii and binary .dods for every fixture
+ * in mock/fixtures, laid out like the real server:
+ *
+ *   /opendap/rijkswaterstaat/jarkus/profiles/transect.nc.ascii?id[0:1:2464]
+ *   -> mock/fixtures/rijkswaterstaat/jarkus/profiles/transect.nc.json
+ *
+ * Fixtures are read per request, so edits show up without a restart.
+ *
+ * Usage: npm run mock, then set VITE_OPENDAP_BASE_URL (or opendapBaseUrl
+ * in public/config.js) to http://localhost:8089/opendap.
+ * MOCK_PORT changes the port.
+ */
+
+import { readFile, stat } from 'node:fs/promises'
+import { createServer } from 'node:http'
+import { fileURLToPath } from 'node:url'
+import { MockDapError, renderAscii, renderDas, renderDds, renderDods, renderError } from './opendap.js'
+
+const PORT = Number(process.env.MOCK_PORT) || 8089
+const FIXTURES = fileURLToPath(new URL('fixtures/', import.meta.url))
+const ROUTE = /^\/opendap\/([\w./-]+\.nc)\.(dds|das|ascii|dods)$/
+
+const RENDERERS = {
+  dds: (fixture, constraint, name) => renderDds(fixture, constraint, name),
+  das: fixture => renderDas(fixture),
+  ascii: (fixture, constraint, name) => renderAscii(fixture, constraint, name),
+  dods: (fixture, constraint, name) => renderDods(fixture, constraint, name),
+}
+
+// Browsers on another port need CORS, including the revalidation headers
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'If-None-Match, If-Modified-Since',
+  'Access-Control-Expose-Headers': 'ETag, Last-Modified',
+}
+
+async function loadFixture (path) {
+  const file = `${FIXTURES}${path}.json`
+  try {
+    const [text, info] = await Promise.all([readFile(file, 'utf8'), stat(file)])
+    return { fixture: JSON.parse(text), etag: `"${info.mtimeMs.toString(36)}-${info.size.toString(36)}"`, modified: info.mtime }
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      throw new MockDapError(404, `No fixture for ${path}`)
+    }
+    throw error
+  }
+}
+
+async function handle (req, res) {
+  const url = new URL(req.url, `http://${req.headers.host}`)
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, CORS_HEADERS)
+    return res.end()
+  }
+
+  const route = url.pathname.match(ROUTE)
+  if (!route) {
+    throw new MockDapError(404, `Not an OpenDAP path: ${url.pathname}`)
+  }
+  const [, path, ext] = route
+
+  const { fixture, etag, modified } = await loadFixture(path)
+  const validators = { 'ETag': etag, 'Last-Modified': modified.toUTCString() }
+  if (req.headers['if-none-match'] === etag) {
+    res.writeHead(304, { ...CORS_HEADERS, ...validators })
+    return res.end()
+  }
+
+  const body = RENDERERS[ext](fixture, url.search.slice(1), path.split('/').at(-1))
+  const type = ext === 'dods' ? 'application/octet-stream' : 'text/plain; charset=utf-8'
+  res.writeHead(200, { ...CORS_HEADERS, ...validators, 'Content-Type': type })
+  res.end(body)
+}
+
+const server = createServer((req, res) => {
+  handle(req, res)
+    .catch(error => {
+      const status = error instanceof MockDapError ? error.status : 500
+      res.writeHead(status, { ...CORS_HEADERS, 'Content-Type': 'text/plain; charset=utf-8' })
+      res.end(renderError(error.message, status))
+    })
+    .finally(() => {
+      console.log(`${res.statusCode} ${req.method} ${req.url}`)
+    })
+})
+
+server.listen(PORT, () => {
+  console.log(`Mock OpenDAP server on http://localhost:${PORT}/opendap (fixtures: ${FIXTURES})`)
+})
@@ -0,0 +1,7 @@
+// Runtime configuration, loaded by index.html before the app starts.
+// Set opendapBaseUrl to point a deployed build at another OpenDAP server
+// (e.g. http://localhost:8089/opendap for `npm run mock`); leave it empty
+// to use VITE_OPENDAP_BASE_URL or the Deltares server.
+window.COASTVIEWER_CONFIG = {
+  opendapBaseUrl: '',
+}
@@ -1,9 +1,21 @@
 import { createRouter, createWebHistory } from 'vue-router'
+import AreaOverview from '../views/AreaOverview.vue'
+import Catalog from '../views/Catalog.vue'
+import Compare from '../views/Compare.vue'
 import Home from '../views/Home.vue'
+import TransectMap from '../views/TransectMap.vue'
 
 const routes = [
   // slug is the *transect number value*, not the index
   { path: String.raw`/:transectNum(\d+)?`, name: 'Home', component: Home },
+  // comma-separated transect numbers, e.g. /compare/7003800,7003900
+  { path: String.raw`/compare/:transectNums([\d,]+)`, name: 'Compare', component: Compare },
+  // every transect of one area code, e.g. /area/7
+  { path: String.raw`/area/:areacode(\d+)`, name: 'Area', component: AreaOverview },
+  // optional transect number is highlighted on the map
+  { path: String.raw`/map/:transectNum(\d+)?`, name: 'Map', component: TransectMap },
+  // every transect in a table; filters and sorting live in the query
+  { path: '/catalog', name: 'Catalog', component: Catalog },
   // ensure root works too
   { path: '/', redirect: { name: 'Home' } },
 ]
@@ -1,137 +1,230 @@
 import { defineStore } from 'pinia'
 
-const IDS_URL
-  = 'https://opendap.deltares.nl/thredds/dodsC/opendap/rijkswaterstaat/jarkus/profiles/transect.nc.ascii?id[0:1:2464]'
-const ALONG_URL
-  = 'https://opendap.deltares.nl/thredds/dodsC/opendap/rijkswaterstaat/jarkus/profiles/transect.nc.ascii?alongshore[0:1:2464]'
-const AREA_URL
-  = 'https://opendap.deltares.nl/thredds/dodsC/opendap/rijkswaterstaat/jarkus/profiles/transect.nc.ascii?areacode[0:1:2464],areaname[0:1:2464]'
-const RSP_URL
-  = 'https://opendap.deltares.nl/thredds/dodsC/opendap/rijkswaterstaat/jarkus/profiles/transect.nc.ascii?rsp_x[0:1:2464],rsp_y[0:1:2464],rsp_lat[0:1:2464],rsp_lon[0:1:2464]'
-const WATER_URL
-  = 'https://opendap.deltares.nl/thredds/dodsC/opendap/rijkswaterstaat/jarkus/profiles/transect.nc.ascii?mean_high_water[0:1:2464],mean_low_water[0:1:2464]'
-
-const BKL_BASE_URL = 'https://opendap.deltares.nl/thredds/dodsC/opendap/rijkswaterstaat/BKL_TKL_MKL/BKL_TKL_TND.nc.ascii'
-const MKL_BASE_URL = 'https://opendap.deltares.nl/thredds/dodsC/opendap/rijkswaterstaat/BKL_TKL_MKL/MKL.nc.ascii'
-const MHW_MLW_BASE_URL = 'https://opendap.deltares.nl/thredds/dodsC/opendap/rijkswaterstaat/MHW_MLW/MHW_MLW.nc.ascii'
-const DF_BASE_URL = 'https://opendap.deltares.nl/thredds/dodsC/opendap/rijkswaterstaat/DuneFoot/DF.nc.ascii'
-
-const ID_LIST_CACHE_KEY = 'jarkus_id_list_v1'
-const ALONG_CACHE_KEY = 'jarkus_along_list_v1'
-const AREA_CACHE_KEY = 'jarkus_area_v1'
-const RSP_CACHE_KEY = 'jarkus_rsp_v1'
-const WATER_CACHE_KEY = 'jarkus_water_v1'
+import { cacheClear, cacheDelete, cacheGet, cacheList, cachePut, cacheTouch, conditionalHeaders, responseValidators } from '@/utils/cache'
+import { opendapUrl } from '@/utils/config'
+import { fetchDap2 } from '@/utils/dap2'
+import { altitudeBlockFromAscii, altitudeBlockFromDap2, altitudeFromDap2, areaSeriesFromAscii, areaSeriesFromDap2, areaSeriesRecords, CATALOG_READERS, parseOpendapAscii, parseTimeDimensionFromDds, parseTimeSizeFromError, yearSeriesFromAscii, yearSeriesFromDap2 } from '@/utils/parsers'
+import { neighbourIndices, PREFETCH_BUDGET_BYTES, PREFETCH_NEIGHBOURS, prefetchAllowed, whenIdle } from '@/utils/prefetch'
+import { createAbortSlot, request } from '@/utils/request'
+import { evaluateToetsing } from '@/utils/toetsing'
+import { indexRanges } from '@/utils/transects'
+import { trendAnalysis } from '@/utils/trend'
+
+// Catalog constraints on transect.nc (one value per transect)
+const IDS_CONSTRAINT = 'id[0:1:2464]'
+const ALONG_CONSTRAINT = 'alongshore[0:1:2464]'
+const AREA_CONSTRAINT = 'areacode[0:1:2464],areaname[0:1:2464]'
+const RSP_CONSTRAINT = 'rsp_x[0:1:2464],rsp_y[0:1:2464],rsp_lat[0:1:2464],rsp_lon[0:1:2464]'
+const WATER_CONSTRAINT = 'mean_high_water[0:1:2464],mean_low_water[0:1:2464]'
+
 const TIME_DIMENSION_CACHE_KEY = 'jarkus_time_dimension_v1'
 
 // Per-dataset time dimension lookup (DDS + 24h cache)
 const DATASET_TIME_CONFIG = {
   transect: {
-    ncBaseUrl: 'https://opendap.deltares.nl/thredds/dodsC/opendap/rijkswaterstaat/jarkus/profiles/transect.nc',
+    ncBaseUrl: opendapUrl('rijkswaterstaat/jarkus/profiles/transect.nc'),
     cacheKey: TIME_DIMENSION_CACHE_KEY,
     fallbackSize: 61,
   },
   bkl: {
-    ncBaseUrl: 'https://opendap.deltares.nl/thredds/dodsC/opendap/rijkswaterstaat/BKL_TKL_MKL/BKL_TKL_TND.nc',
+    ncBaseUrl: opendapUrl('rijkswaterstaat/BKL_TKL_MKL/BKL_TKL_TND.nc'),
     cacheKey: 'jarkus_bkl_time_dimension_v1',
     fallbackSize: 66,
   },
   mkl: {
-    ncBaseUrl: 'https://opendap.deltares.nl/thredds/dodsC/opendap/rijkswaterstaat/BKL_TKL_MKL/MKL.nc',
+    ncBaseUrl: opendapUrl('rijkswaterstaat/BKL_TKL_MKL/MKL.nc'),
     cacheKey: 'jarkus_mkl_time_dimension_v1',
     fallbackSize: 61,
   },
   mhw: {
-    ncBaseUrl: 'https://opendap.deltares.nl/thredds/dodsC/opendap/rijkswaterstaat/MHW_MLW/MHW_MLW.nc',
+    ncBaseUrl: opendapUrl('rijkswaterstaat/MHW_MLW/MHW_MLW.nc'),
     cacheKey: 'jarkus_mhw_time_dimension_v1',
     fallbackSize: 183,
   },
   df: {
-    ncBaseUrl: 'https://opendap.deltares.nl/thredds/dodsC/opendap/rijkswaterstaat/DuneFoot/DF.nc',
+    ncBaseUrl: opendapUrl('rijkswaterstaat/DuneFoot/DF.nc'),
     cacheKey: 'jarkus_df_time_dimension_v1',
     fallbackSize: 183,
   },
 }
 
-const TIME_DIMENSION_CACHE_EXPIRATION_MS = 24 * 60 * 60 * 1000
-const MAX_LOCALSTORAGE_CACHE_SIZE = 500_000
+// Year-series charts on the transect page; registry datasets bind to one via `chart`
+export const YEAR_SERIES_CHARTS = {
+  coastline: {
+    title: 'Coastline Over Time',
+    // Its years form the category axis; other datasets are aligned by year
+    axisDataset: 'bkl',
+    exportTitle: 'Coastline positions',
+    exportName: 'coastline',
+    // Background bands with the yearly toetsing status (utils/toetsing.js)
+    statusBands: true,
+  },
+  water: {
+    title: 'Cross shore distance [m]',
+    axisDataset: 'mhw',
+    exportTitle: 'Mean high/low water and dune foot cross-shore positions',
+    exportName: 'mhw_mlw_df',
+    // Irregular time steps (several per year): plotted on a time axis at the measured dates
+    timeAxis: true,
+  },
+}
 
-const NUM_RE = /-?(?:\d+\.\d+|\d+|\.\d+)(?:[eE][+-]?\d+)?|NaN/gi
-const INDEX_PATTERN = /(^|\n)\s*(?:\[\d+\]){1,4},\s*/g
-const NUM_PATTERN = /[-+]?(?:\d+\.\d+|\d+\.|\.\d+|\d+)(?:[eE][-+]?\d+)?/g
+/**
+ * Per-transect year-series datasets. Base URL and time dimension come from
+ * DATASET_TIME_CONFIG under the same key; every variable has `dims` and is
+ * read at one alongshore index. `key` is the property in the parsed record
+ * ({ years, times, [key]: values }, times in epoch ms), `series` how it is drawn in its chart and
+ * `trend` whether it gets a regression line and rate (utils/trend.js).
+ * Datasets without a `required` variable that parses are rejected.
+ */
+export const DATASET_REGISTRY = {
+  bkl: {
+    label: 'basal coastline data',
+    dims: ['time', 'alongshore'],
+    chart: 'coastline',
+    variables: [
+      {
+        name: 'basal_coastline',
+        key: 'basalCoastline',
+        required: true,
+        longName: 'basiskustlijn (BKL) cross-shore position',
+        units: 'm',
+        series: { name: 'Basiskustlijn (BKL)', short: 'BKL', color: '#9C27B0', symbol: 'circle' },
+      },
+      {
+        name: 'testing_coastline',
+        key: 'testingCoastline',
+        longName: 'toetsingskustlijn (TKL) cross-shore position',
+        units: 'm',
+        series: { name: 'Toetsing Kustlijn (TKL)', short: 'TKL', color: '#4CAF50', symbol: 'triangle' },
+      },
+    ],
+  },
+  mkl: {
+    label: 'momentary coastline data',
+    dims: ['time', 'alongshore'],
+    chart: 'coastline',
+    variables: [
+      {
+        name: 'momentary_coastline',
+        key: 'momentaryCoastline',
+        required: true,
+        trend: true,
+        longName: 'momentane kustlijn (MKL) cross-shore position',
+        units: 'm',
+        series: { name: 'Momentane Kustlijn (MKL)', short: 'MKL', color: '#2196F3', symbol: 'diamond' },
+      },
+    ],
+  },
+  mhw: {
+    label: 'mean high water cross data',
+    dims: ['time', 'alongshore'],
+    chart: 'water',
+    variables: [
+      {
+        name: 'mean_high_water_cross',
+        key: 'meanHighWaterCross',
+        required: true,
+        trend: true,
+        longName: 'cross-shore position of mean high water',
+        units: 'm',
+        series: { name: 'Mean High Water', short: 'MHW', color: '#F44336', symbol: 'circle' },
+      },
+      {
+        name: 'mean_low_water_cross',
+        key: 'meanLowWaterCross',
+        longName: 'cross-shore position of mean low water',
+        units: 'm',
+        series: { name: 'Mean Low Water', short: 'MLW', color: '#2196F3', symbol: 'triangle' },
+      },
+    ],
+  },
+  df: {
+    label: 'dune foot threeNAP cross data',
+    dims: ['time', 'alongshore'],
+    chart: 'water',
+    variables: [
+      {
+        name: 'dune_foot_threeNAP_cross',
+        key: 'duneFootThreeNAPCross',
+        required: true,
+        trend: true,
+        longName: 'cross-shore position of the dune foot (3 m NAP)',
+        units: 'm',
+        series: { name: 'Dune Foot 3NAP', short: 'DF 3NAP', color: '#4CAF50', symbol: 'diamond' },
+      },
+    ],
+  },
+}
 
-function stripOpendapIndices (block) {
-  if (!block) {
-    return ''
-  }
-  return block.replace(INDEX_PATTERN, '$1')
+// Registry variables drawn in one year-series chart, in registry order, tagged with their dataset key
+export function yearChartVariables (chartKey) {
+  return Object.entries(DATASET_REGISTRY)
+    .filter(([, entry]) => entry.chart === chartKey)
+    .flatMap(([datasetKey, entry]) => entry.variables.map(variable => ({ ...variable, datasetKey })))
 }
 
-function tokenizeNumbers (block) {
-  if (!block) {
-    return []
-  }
-  const matches = block.match(NUM_PATTERN)
-  if (!matches) {
-    return []
-  }
-  return matches.map(Number)
+// Alongshore index of a constraint: [transectIndex], or the hyperslab [transectIndex:1:lastIndex] for a block of transects
+function alongshoreIndex (transectIndex, lastIndex = transectIndex) {
+  return lastIndex > transectIndex ? `[${transectIndex}:1:${lastIndex}]` : `[${transectIndex}]`
 }
 
-function tokenizeNumbersKeepNaN (block) {
-  if (!block) {
-    return []
-  }
-  const matches = block.match(NUM_RE) || []
-  return matches.map(tok => (/^nan$/i.test(tok) ? null : Number(tok)))
+// Per-transect constraint expressions (time range [0:timeMax], alongshore as in alongshoreIndex);
+// time_topo/time_bathy are the dates the beach and the sea part of each profile were surveyed
+function altitudeConstraint (transectIndex, timeMax, lastIndex = transectIndex) {
+  const perSurvey = `[0:1:${timeMax}]${alongshoreIndex(transectIndex, lastIndex)}`
+  return `cross_shore[0:1:2462],time[0:1:${timeMax}],altitude${perSurvey}[0:1:2462],time_topo${perSurvey},time_bathy${perSurvey}`
 }
 
-function parseTimeDimensionFromDds (ddsText) {
-  const timeDimMatch = ddsText.match(/time\s*\[time\s*=\s*(\d+)\s*\]/i)
-  if (timeDimMatch?.[1]) {
-    const size = Number.parseInt(timeDimMatch[1], 10)
-    if (size > 0) {
-      return size
-    }
-  }
-  return null
+// time plus every registry variable, indexed [0:timeMax] on time and as in alongshoreIndex elsewhere
+function yearSeriesConstraint (entry, transectIndex, timeMax, lastIndex = transectIndex) {
+  const alongshore = alongshoreIndex(transectIndex, lastIndex)
+  const index = dim => (dim === 'time' ? `[0:1:${timeMax}]` : alongshore)
+  const parts = entry.variables.map(v => v.name + entry.dims.map(dim => index(dim)).join(''))
+  return [`time[0:1:${timeMax}]`, ...parts].join(',')
+}
+
+// Most transects per hyperslab request of a batch: profiles are large (time × cross-shore each), year series small
+export const TRANSECT_BLOCK_SIZE = 10
+const SERIES_BLOCK_SIZE = 250
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+// How long a cached response is used before it is revalidated with the server
+const CACHE_TTL_MS = {
+  catalog: 7 * DAY_MS,
+  time: DAY_MS,
+  transect: DAY_MS,
+  bkl: DAY_MS,
+  mkl: DAY_MS,
+  mhw: DAY_MS,
+  df: DAY_MS,
 }
 
 async function parseTimeDimensionFromAsciiError (asciiBaseUrl) {
   const testUrl = `${asciiBaseUrl}?time[0:1:9999]`
-  const res = await fetch(testUrl, { cache: 'no-store' })
-  if (!res.ok) {
-    const errorText = await res.text()
-    const sizeMatch = errorText.match(/stop\s*>=\s*size:\s*\d+:\s*(\d+)/i)
-    if (sizeMatch?.[1]) {
-      const size = Number.parseInt(sizeMatch[1], 10)
-      if (size > 0) {
-        return size
-      }
-    }
-  }
-  return null
+  const res = await request(testUrl)
+  return res.ok ? null : parseTimeSizeFromError(await res.text())
 }
 
 async function resolveDatasetTimeDimensionSize (config) {
-  const cached = localStorage.getItem(config.cacheKey)
-  if (cached) {
-    try {
-      const obj = JSON.parse(cached)
-      const age = Date.now() - (obj.timestamp || 0)
-      if (typeof obj.size === 'number' && obj.size > 0 && age < TIME_DIMENSION_CACHE_EXPIRATION_MS) {
-        return obj.size
-      }
-    } catch { /* ignore */ }
+  const ddsUrl = `${config.ncBaseUrl}.dds`
+  const cached = await cacheGet(config.cacheKey)
+  const age = Date.now() - (cached?.fetchedAt || 0)
+  // A size read from another server (see utils/config.js) does not count
+  if (cached?.value?.size > 0 && cached.url === ddsUrl && age < CACHE_TTL_MS.time) {
+    return cached.value.size
   }
 
+  const store = size => cachePut({ key: config.cacheKey, dataset: 'time', url: ddsUrl, value: { size }, fetchedAt: Date.now() })
+
   try {
-    const ddsUrl = `${config.ncBaseUrl}.dds`
-    const res = await fetch(ddsUrl, { cache: 'no-store' })
+    const res = await request(ddsUrl)
     if (res.ok) {
       const ddsText = await res.text()
       const size = parseTimeDimensionFromDds(ddsText)
       if (size) {
-        localStorage.setItem(config.cacheKey, JSON.stringify({ size, timestamp: Date.now() }))
+        await store(size)
         return size
       }
     }
@@ -140,7 +233,7 @@ async function resolveDatasetTimeDimensionSize (config) {
   try {
     const size = await parseTimeDimensionFromAsciiError(`${config.ncBaseUrl}.ascii`)
     if (size) {
-      localStorage.setItem(config.cacheKey, JSON.stringify({ size, timestamp: Date.now() }))
+      await store(size)
       return size
     }
   } catch { /* use hardcoded fallback */ }
@@ -151,312 +244,261 @@ async function resolveDatasetTimeDimensionSize (config) {
 /** @type {Map<string, Promise<number>>} */
 const timeDimensionInflight = new Map()
 
-function refreshAsciiCacheInBackground (url, cacheKey) {
-  fetch(url, { cache: 'no-store' })
-    .then(res => (res.ok ? res.text() : null))
-    .then(text => {
-      if (text && text.length <= MAX_LOCALSTORAGE_CACHE_SIZE) {
-        try {
-          localStorage.setItem(cacheKey, JSON.stringify({ t: Date.now(), data: text }))
-        } catch { /* storage full */ }
+// Caches from before the IndexedDB layer (raw responses and catalog lists)
+function purgeLegacyLocalStorage () {
+  try {
+    for (const key of Object.keys(localStorage)) {
+      if (/^(?:(?:opendap|bkl|mkl|mhw|df)_cache::|jarkus_\w+_v1$)/.test(key)) {
+        localStorage.removeItem(key)
       }
-    })
-    .catch(() => {})
+    }
+  } catch { /* storage unavailable */ }
 }
 
-function nullifySentinel (values) {
-  return values.map(v => (v === -9999 ? null : v))
+// One cacheable request: the format-neutral URL doubles as cache key
+function cacheRequest (dataset, ncBaseUrl, constraint, reader) {
+  return { dataset, ncBaseUrl, constraint, reader, url: `${ncBaseUrl}?${constraint}` }
 }
 
-function toYearLabels (timeVals) {
-  if (!Array.isArray(timeVals) || timeVals.length === 0) {
-    return []
-  }
+function datasetRequest (datasetKey, constraint) {
+  return cacheRequest(datasetKey, DATASET_TIME_CONFIG[datasetKey].ncBaseUrl, constraint, DATASET_READERS[datasetKey])
+}
 
-  const min = Math.min(...timeVals)
-  const max = Math.max(...timeVals)
+function catalogRequest (readerKey, constraint) {
+  return cacheRequest('catalog', DATASET_TIME_CONFIG.transect.ncBaseUrl, constraint, CATALOG_READERS[readerKey])
+}
 
-  // Heuristic: if the data already looks like calendar years, keep as-is
-  if (min >= 1800 && max <= 2100) {
-    return timeVals.map(v => String(Math.trunc(v)))
+function throwIfAborted (signal) {
+  if (signal?.aborted) {
+    throw new DOMException('Request aborted', 'AbortError')
   }
-
-  // Otherwise assume "days since 1970-01-01 00:00:00"
-  const MS_PER_DAY = 86_400_000
-  const epoch = Date.UTC(1970, 0, 1)
-
-  return timeVals.map(d => {
-    const t = new Date(epoch + d * MS_PER_DAY)
-    return String(t.getUTCFullYear())
-  })
 }
 
 /**
- * Robustly grab only the numeric/text payload that follows a header like:
- *   altitude[time = 60][alongshore = 1][cross_shore = 2463]
- *   cross_shore[2463]
- *   cross_shore [0:1:2462]
- *
- * IMPORTANT: OpenDAP .ascii has a preamble ("Dataset { ... }") and then
- * a dashed separator line. Only AFTER that line do the numeric payload
- * headers appear. We must ignore/pre-skip the preamble to avoid matching
- * its structural/metadata headers.
+ * Fetch and parse one request. The binary DAP2 response is tried first;
+ * any failure other than an abort falls back to `.ascii`. With
+ * `validators` the request is conditional and `parsed` is null when the
+ * server answers 304 Not Modified. `meter` counts the bytes downloaded
+ * (see request()).
  */
-function capturePayloadBlock (asciiRaw, varName) {
-  if (!asciiRaw) {
-    return ''
+async function fetchParsed ({ ncBaseUrl, constraint, reader }, { signal, validators, meter } = {}) {
+  const headers = conditionalHeaders(validators)
+  try {
+    const { variables, response } = await fetchDap2(ncBaseUrl, constraint, { signal, headers, meter })
+    return { parsed: variables && reader.fromDap2(variables), validators: responseValidators(response) }
+  } catch (error) {
+    if (error?.name === 'AbortError') {
+      throw error
+    }
+    console.warn(`DAP2 request for ${reader.label} failed, falling back to ASCII:`, error)
   }
 
-  // Normalize endings
-  const ascii = asciiRaw.replace(/\r\n/g, '\n')
-
-  // 1) Find the dashed separator line and work only on the tail
-  const sepMatch = /^\s*-{5,}\s*$/m.exec(ascii)
-  const searchBase = sepMatch
-    ? ascii.slice(sepMatch.index + sepMatch[0].length)
-    : ascii // fallback: no separator found; search whole text
-
-  // 2) In the payload section, find the header line for this var
-  // accept things like: altitude.altitude[60][1][2463]
-  // and also possible namespaces like foo.bar.altitude[...]
-  const headerRe = new RegExp(
-    String.raw`^\s*(?:[\w]+\.)*${varName}\s*(?:\[[^\n]*\]\s*)+\s*$`,
-    'm',
-  )
-  const m = headerRe.exec(searchBase)
-  if (!m) {
-    return ''
+  const res = await request(`${ncBaseUrl}.ascii?${constraint}`, { signal, headers, meter })
+  if (res.status === 304) {
+    return { parsed: null, validators: responseValidators(res) }
   }
-
-  const start = m.index + m[0].length
-  const tail = searchBase.slice(start)
-
-  // 3) Capture until the next payload header or EOF
-  // next header may also be dotted
-  const nextHeaderRe = /^\s*[\w.]+\s*(?:\[[^\n]*\]\s*)+\s*$/m
-  const n = nextHeaderRe.exec(tail)
-  const end = n ? n.index : tail.length
-
-  return tail.slice(0, end)
-}
-
-function buildChartData (crossShore, times, altitude2D) {
-  const years = times.map(t => {
-    if (t != null && Math.abs(t) >= 1500 && Math.abs(t) <= 3000) {
-      return String(Math.round(t))
-    }
-    return `t${Math.round(t ?? 0)}`
-  })
-
-  return {
-    crossShore,
-    years,
-    altitudeByYear: altitude2D,
+  if (!res.ok) {
+    throw new Error(`Failed to fetch ${reader.label} (${res.status})`)
   }
+  return { parsed: reader.fromAscii(await res.text()), validators: responseValidators(res) }
 }
 
-function parseOpendapAscii (ascii) {
-  const crossBlock = capturePayloadBlock(ascii, 'cross_shore')
-  const timeBlock = capturePayloadBlock(ascii, 'time')
-  const altBlock = capturePayloadBlock(ascii, 'altitude')
-
-  const cleanAltBlock = stripOpendapIndices(altBlock)
-
-  const cross = tokenizeNumbers(crossBlock)
-  const rawTime = tokenizeNumbers(timeBlock)
-  const time = toYearLabels(rawTime)
-
-  if (cross.length === 0 || time.length === 0) {
-    const head = (ascii || '').slice(0, 500)
-    throw new Error(
-      'Could not parse cross_shore/time arrays from payload. '
-      + 'Check that the .ascii response includes headers like "cross_shore[...]" and "time[...]". '
-      + 'Response (first 500 chars):\n' + head,
-    )
-  }
-
-  // altitude is a flat list reshaped to [time][cross_shore]
-  const flatAlt = tokenizeNumbers(cleanAltBlock)
-  const T = time.length
-  const X = cross.length
+function storeParsed (req, parsed, fetchedAt, validators) {
+  return cachePut({ key: req.url, dataset: req.dataset, url: req.url, value: parsed, fetchedAt, ...validators })
+}
 
-  for (let i = 0; i < flatAlt.length; i++) {
-    if (flatAlt[i] === -9999) {
-      flatAlt[i] = null
-    }
+async function revalidate (req, entry, { signal, meter, apply }) {
+  const { parsed, validators } = await fetchParsed(req, { signal, meter, validators: entry })
+  const fetchedAt = Date.now()
+  if (!parsed) {
+    await cacheTouch(req.url, { fetchedAt, ...validators })
+    return
   }
-
-  if (flatAlt.length === 0) {
-    const head = (ascii || '').slice(0, 500)
-    throw new Error(
-      'Could not parse altitude array from payload. '
-      + 'Ensure the .ascii request includes "altitude[...]". '
-      + 'Response (first 500 chars):\n' + head,
-    )
+  if (!signal?.aborted) {
+    apply(parsed, fetchedAt, { cached: false })
   }
+  await storeParsed(req, parsed, fetchedAt, validators)
+}
 
-  let altitude2D
-
-  // Expected layout: T rows, each with X values (alongshore=1 collapses away)
-  switch (flatAlt.length) {
-    case T * X: {
-      altitude2D = Array.from({ length: T })
-      let p = 0
-      for (let t = 0; t < T; t++) {
-        const row = Array.from({ length: X })
-        for (let x = 0; x < X; x++, p++) {
-          row[x] = flatAlt[p] ?? null
-        }
-        altitude2D[t] = row
-      }
-      break
-    }
-    case X * T: {
-      // Some servers may emit the other order; try transpose
-      altitude2D = Array.from({ length: T })
-      for (let t = 0; t < T; t++) {
-        const row = Array.from({ length: X })
-        for (let x = 0; x < X; x++) {
-          row[x] = flatAlt[x * T + t] ?? null
-        }
-        altitude2D[t] = row
-      }
-      break
-    }
-    case T * 1 * X: {
-      // Safety: if alongshore dimension leaked into the flat stream
-      altitude2D = Array.from({ length: T })
-      let p = 0
-      for (let t = 0; t < T; t++) {
-        const row = Array.from({ length: X })
-        for (let a = 0; a < 1; a++) {
-          for (let x = 0; x < X; x++, p++) {
-            row[x] = flatAlt[p] ?? null
-          }
-        }
-        altitude2D[t] = row
+/**
+ * Cache-first load of one request. `apply(parsed, fetchedAt, { cached })`
+ * receives the cached copy, or the network result on a miss (after
+ * `onMiss`). A copy older than its dataset TTL is shown right away and
+ * revalidated in the background, bracketed by `onRefresh(true)` and
+ * `onRefresh(false, error)`; `apply` runs again only if the server has
+ * newer data. `meter` counts the bytes downloaded (see request()).
+ */
+async function loadThroughCache (req, { signal, meter, apply, onMiss, onRefresh } = {}) {
+  const entry = await cacheGet(req.url)
+  throwIfAborted(signal)
+  if (entry) {
+    try {
+      apply(entry.value, entry.fetchedAt, { cached: true })
+      if (Date.now() - entry.fetchedAt > CACHE_TTL_MS[req.dataset]) {
+        onRefresh?.(true)
+        revalidate(req, entry, { signal, meter, apply }).then(
+          () => onRefresh?.(false),
+          error => onRefresh?.(false, error?.name === 'AbortError' ? null : error),
+        )
       }
-      break
-    }
-    default: {
-      throw new Error(
-        `Altitude size mismatch: got ${flatAlt.length}, expected ${T}×${X}=${T * X}.`,
-      )
+      return
+    } catch (error) {
+      console.warn(`Discarding unusable cache entry for ${req.url}:`, error)
+      await cacheDelete(req.url)
     }
   }
 
-  return buildChartData(cross, time, altitude2D)
+  onMiss?.()
+  const { parsed, validators } = await fetchParsed(req, { signal, meter })
+  const fetchedAt = Date.now()
+  apply(parsed, fetchedAt, { cached: false })
+  await storeParsed(req, parsed, fetchedAt, validators)
 }
 
-function parseQuotedStringArray (payload) {
-  if (!payload) {
-    return []
-  }
-  const clean = stripOpendapIndices(payload)
-  const matches = clean.match(/"([^"]*)"/g) || []
-  return matches.map(s => s.replace(/^"/, '').replace(/"$/, '').trim())
+// Cache-first load that leaves the single-transect state untouched
+async function loadParsed (req, { signal, meter } = {}) {
+  let result = null
+  await loadThroughCache(req, {
+    signal,
+    meter,
+    apply: (parsed, fetchedAt) => {
+      result ??= { parsed, fetchedAt }
+    },
+  })
+  return result
 }
 
-function parseBasalCoastlineAscii (ascii) {
-  const timeBlock = capturePayloadBlock(ascii, 'time')
-  const basalBlock = capturePayloadBlock(ascii, 'basal_coastline')
-  const testingBlock = capturePayloadBlock(ascii, 'testing_coastline')
-
-  const timeValues = tokenizeNumbers(timeBlock)
-  const basalValues = tokenizeNumbersKeepNaN(stripOpendapIndices(basalBlock))
-  const testingValues = testingBlock
-    ? tokenizeNumbersKeepNaN(stripOpendapIndices(testingBlock))
-    : []
-
-  if (timeValues.length === 0 || basalValues.length === 0) {
-    const head = (ascii || '').slice(0, 500)
-    throw new Error(
-      'Could not parse time/basal_coastline arrays from payload. '
-      + 'Response (first 500 chars):\n' + head,
-    )
-  }
+// Both parsers per dataset; `label` names the data in error messages
+const DATASET_READERS = {
+  transect: { label: 'OpenDAP data', fromDap2: altitudeFromDap2, fromAscii: parseOpendapAscii },
+  ...Object.fromEntries(Object.entries(DATASET_REGISTRY).map(([key, entry]) => [key, {
+    label: entry.label,
+    fromDap2: variables => yearSeriesFromDap2(entry, variables),
+    fromAscii: ascii => yearSeriesFromAscii(entry, ascii),
+  }])),
+}
 
+function areaSeriesReader (entry, count) {
   return {
-    years: toYearLabels(timeValues),
-    basalCoastline: nullifySentinel(basalValues),
-    testingCoastline: testingValues.length > 0 ? nullifySentinel(testingValues) : [],
+    label: `${entry.label} (${count} transects)`,
+    fromDap2: variables => areaSeriesFromDap2(entry, count, variables),
+    fromAscii: ascii => areaSeriesFromAscii(entry, count, ascii),
   }
 }
 
-function parseMomentaryCoastlineAscii (ascii) {
-  const timeBlock = capturePayloadBlock(ascii, 'time')
-  const momentaryBlock = capturePayloadBlock(ascii, 'momentary_coastline')
-
-  const timeValues = tokenizeNumbers(timeBlock)
-  const momentaryValues = tokenizeNumbersKeepNaN(stripOpendapIndices(momentaryBlock))
-
-  if (timeValues.length === 0 || momentaryValues.length === 0) {
-    const head = (ascii || '').slice(0, 500)
-    throw new Error(
-      'Could not parse time/momentary_coastline arrays from payload. '
-      + 'Response (first 500 chars):\n' + head,
-    )
+// Block readers: one hyperslab response as per-transect records
+function altitudeBlockReader (count) {
+  return {
+    label: `OpenDAP data (${count} transects)`,
+    fromDap2: variables => altitudeBlockFromDap2(count, variables),
+    fromAscii: ascii => altitudeBlockFromAscii(count, ascii),
   }
+}
 
+function yearSeriesBlockReader (entry, count) {
+  const area = areaSeriesReader(entry, count)
   return {
-    momentaryCoastline: nullifySentinel(momentaryValues),
+    label: area.label,
+    fromDap2: variables => areaSeriesRecords(entry, area.fromDap2(variables), count),
+    fromAscii: ascii => areaSeriesRecords(entry, area.fromAscii(ascii), count),
   }
 }
 
-function parseMeanHighWaterCrossAscii (ascii) {
-  const timeBlock = capturePayloadBlock(ascii, 'time')
-  const mhwBlock = capturePayloadBlock(ascii, 'mean_high_water_cross')
-  const mlwBlock = capturePayloadBlock(ascii, 'mean_low_water_cross')
-
-  const timeValues = tokenizeNumbers(timeBlock)
-  const mhwValues = tokenizeNumbersKeepNaN(stripOpendapIndices(mhwBlock))
-  const mlwValues = mlwBlock ? tokenizeNumbersKeepNaN(stripOpendapIndices(mlwBlock)) : []
-
-  if (timeValues.length === 0 || mhwValues.length === 0) {
-    const head = (ascii || '').slice(0, 500)
-    throw new Error(
-      'Could not parse time/mean_high_water_cross arrays from payload. '
-      + 'Response (first 500 chars):\n' + head,
-    )
+/**
+ * One dataset for several transects. Fresh cached copies are used as they
+ * are; the rest is fetched with one hyperslab request per run of
+ * consecutive indices (at most `blockSize` long) and cached per transect
+ * under its single-transect request, so fetchAltitudeProfiles and
+ * fetchDataset find it. `constraint(start, end)` builds the expression,
+ * `blockReader(count)` parses it. Resolves to { values, errors }, both by
+ * index; a failed block leaves its indices without a value.
+ */
+async function loadBlocks (datasetKey, indices, { constraint, blockReader, blockSize, signal }) {
+  const values = {}
+  const errors = {}
+  const missing = []
+  for (const index of indices) {
+    const entry = await cacheGet(datasetRequest(datasetKey, constraint(index, index)).url)
+    if (entry && Date.now() - entry.fetchedAt <= CACHE_TTL_MS[datasetKey]) {
+      values[index] = entry.value
+    } else {
+      missing.push(index)
+    }
   }
+  throwIfAborted(signal)
 
-  return {
-    years: toYearLabels(timeValues),
-    meanHighWaterCross: nullifySentinel(mhwValues),
-    meanLowWaterCross: mlwValues.length > 0 ? nullifySentinel(mlwValues) : [],
-  }
+  await Promise.all(indexRanges(missing, blockSize).map(async ([start, end]) => {
+    const count = end - start + 1
+    const req = cacheRequest(datasetKey, DATASET_TIME_CONFIG[datasetKey].ncBaseUrl, constraint(start, end), blockReader(count))
+    try {
+      const { parsed } = await fetchParsed(req, { signal })
+      const fetchedAt = Date.now()
+      for (const [offset, record] of parsed.entries()) {
+        values[start + offset] = record
+        // Validators of the block response do not apply to the single-transect URL
+        await storeParsed(datasetRequest(datasetKey, constraint(start + offset, start + offset)), record, fetchedAt, {})
+      }
+    } catch (error) {
+      if (error?.name === 'AbortError') {
+        throw error
+      }
+      for (let index = start; index <= end; index++) {
+        errors[index] = error?.message || String(error)
+      }
+    }
+  }))
+  return { values, errors }
 }
 
-function parseDuneFootThreeNAPCrossAscii (ascii) {
-  const timeBlock = capturePayloadBlock(ascii, 'time')
-  const dfBlock = capturePayloadBlock(ascii, 'dune_foot_threeNAP_cross')
+// Empty parsed record of a registry dataset
+function emptyYearSeries (entry) {
+  return { years: [], times: [], ...Object.fromEntries(entry.variables.map(v => [v.key, []])) }
+}
 
-  const timeValues = tokenizeNumbers(timeBlock)
-  const dfValues = tokenizeNumbersKeepNaN(stripOpendapIndices(dfBlock))
+function emptyDatasetState (entry) {
+  return { loading: false, error: null, ready: false, fetchedAt: null, sourceUrl: '', data: emptyYearSeries(entry), ...emptyFreshness(), transectIndex: null }
+}
 
-  if (timeValues.length === 0 || dfValues.length === 0) {
-    const head = (ascii || '').slice(0, 500)
-    throw new Error(
-      'Could not parse time/dune_foot_threeNAP_cross arrays from payload. '
-      + 'Response (first 500 chars):\n' + head,
-    )
-  }
+// Where the shown data came from: the cache (`fromCache`), a background revalidation running, and how the last one failed
+function emptyFreshness () {
+  return { fromCache: false, refreshing: false, refreshError: null }
+}
 
-  return {
-    duneFootThreeNAPCross: nullifySentinel(dfValues),
-  }
+// Catalog lists with their error field, retry action and label (connectivity banner)
+const CATALOG_STATUS = [
+  { error: 'idsError', action: 'fetchTransectIdList', label: 'Transect catalog' },
+  { error: 'alongError', action: 'fetchAlongshoreList', label: 'Alongshore distances' },
+  { error: 'areaError', action: 'fetchAreaInfo', label: 'Area names' },
+  { error: 'rspError', action: 'fetchRspInfo', label: 'RSP coordinates' },
+  { error: 'waterError', action: 'fetchWaterLevelsInfo', label: 'Water levels' },
+]
+
+// Network state as reported by the browser; true where there is none to ask
+function browserOnline () {
+  return typeof navigator === 'undefined' || navigator.onLine !== false
 }
 
+purgeLegacyLocalStorage()
+
 export const useAppStore = defineStore('app', {
   state: () => ({
     loading: false,
     error: null,
     warning: null,
-    rawText: '',
     fetchedAt: null,
+    sourceUrl: '',
+    // Freshness of the profiles (see emptyFreshness) and the transect they were requested for
+    ...emptyFreshness(),
+    transectIndex: null,
+
+    online: browserOnline(),
 
     chartReady: false,
     years: [],
+    // Survey timestamps (epoch ms) per profile: nominal time and the topo/bathy measurement dates
+    times: [],
+    topoDates: [],
+    bathyDates: [],
     crossShore: [],
     altitudeByYear: [],
 
@@ -486,76 +528,104 @@ export const useAppStore = defineStore('app', {
     meanLowWaterList: [],
     meanHighWaterList: [],
 
-    loadingBasal: false,
-    basalError: null,
-    basalYears: [],
-    basalCoastline: [],
-    testingCoastline: [],
-    basalReady: false,
-    basalFetchedAt: null,
-
-    loadingMomentary: false,
-    momentaryError: null,
-    momentaryCoastline: [],
-    momentaryReady: false,
-    momentaryFetchedAt: null,
-
-    loadingMhw: false,
-    mhwError: null,
-    mhwYears: [],
-    meanHighWaterCross: [],
-    meanLowWaterCross: [],
-    mhwReady: false,
-    mhwFetchedAt: null,
-
-    loadingDf: false,
-    dfError: null,
-    duneFootThreeNAPCross: [],
-    dfReady: false,
-    dfFetchedAt: null,
+    // Registry datasets: { [key]: { loading, error, ready, fetchedAt, sourceUrl, data } }
+    datasets: Object.fromEntries(Object.entries(DATASET_REGISTRY).map(([key, entry]) => [key, emptyDatasetState(entry)])),
+
+    loadingComparison: false,
+    comparisonError: null,
+    comparisonTransects: [],
+
+    // Registry datasets for every transect of one area: datasets[key] is { years, [key]: [time][transect] } or null
+    loadingAreaSeries: false,
+    areaSeriesError: null,
+    areaSeries: { code: null, start: null, end: null, indices: [], datasets: {}, sources: {} },
 
     timeDimensionSizes: {},
 
-    _aborter: null,
-    _basalAborter: null,
-    _momentaryAborter: null,
-    _mhwAborter: null,
-    _dfAborter: null,
+    // Year window of the trend analysis; null bounds mean all years
+    trendWindow: { from: null, to: null },
+
+    // Abort slots (utils/request.js): a newer load aborts the running one unless it asks for the same data
+    _aborter: createAbortSlot(),
+    _datasetAborters: Object.fromEntries(Object.keys(DATASET_REGISTRY).map(key => [key, createAbortSlot()])),
+    _comparisonAborter: createAbortSlot(),
+    _areaAborter: createAbortSlot(),
+    // Running neighbour prefetch: { controller, current (index being fetched), stopped }
+    _prefetchRun: null,
+
+    loadingCacheInfo: false,
+    cacheEntries: [],
+    cacheUsage: null,
   }),
 
+  getters: {
+    // Every failed load of the transect page as [{ label, message }], for the connectivity banner
+    statusErrors (state) {
+      const out = CATALOG_STATUS.filter(item => state[item.error]).map(item => ({ label: item.label, message: state[item.error] }))
+      if (state.error) {
+        out.push({ label: 'Altitude profiles', message: state.error })
+      }
+      for (const [key, entry] of Object.entries(DATASET_REGISTRY)) {
+        if (state.datasets[key].error) {
+          out.push({ label: entry.variables.map(v => v.series.short).join('/'), message: state.datasets[key].error })
+        }
+      }
+      return out
+    },
+
+    // A background revalidation failed: the data shown may be out of date
+    staleErrors (state) {
+      return [state.refreshError, ...Object.values(state.datasets).map(d => d.refreshError)].filter(Boolean)
+    },
+
+    // Trend of every `trend` registry variable with loaded data: [{ datasetKey, chart, variable, analysis }]
+    trends (state) {
+      const out = []
+      for (const [datasetKey, entry] of Object.entries(DATASET_REGISTRY)) {
+        const dataset = state.datasets[datasetKey]
+        if (!dataset.ready) {
+          continue
+        }
+        for (const variable of entry.variables.filter(v => v.trend)) {
+          const analysis = trendAnalysis(dataset.data.years, dataset.data[variable.key], state.trendWindow)
+          if (analysis) {
+            out.push({ datasetKey, chart: entry.chart, variable, analysis })
+          }
+        }
+      }
+      return out
+    },
+
+    // Yearly toetsing status from BKL/TKL and MKL; empty until the BKL is loaded
+    toetsing (state) {
+      const { bkl, mkl } = state.datasets
+      if (!bkl.ready) {
+        return []
+      }
+      return evaluateToetsing(bkl.data, mkl.ready ? mkl.data : null)
+    },
+  },
+
   actions: {
     async fetchTransectIdList () {
       if (this.idList && this.idList.length > 0) {
         return
       }
 
-      const cached = localStorage.getItem(ID_LIST_CACHE_KEY)
-      if (cached) {
-        try {
-          const obj = JSON.parse(cached)
-          if (Array.isArray(obj.list) && obj.list.length > 0) {
-            this.idList = obj.list
-            this.idsFetchedAt = obj.when || null
-            return
-          }
-        } catch { /* ignore */ }
-      }
-
-      this.loadingIds = true
       this.idsError = null
       try {
-        const res = await fetch(IDS_URL, { cache: 'no-store' })
-        if (!res.ok) {
-          throw new Error(`Failed to load transect catalog (${res.status})`)
-        }
-        const text = await res.text()
-        const list = this._parseIdList(text)
-        if (!list || list.length === 0) {
-          throw new Error('Could not parse transect catalog')
-        }
-        this.idList = list
-        this.idsFetchedAt = Date.now()
-        localStorage.setItem(ID_LIST_CACHE_KEY, JSON.stringify({ list, when: this.idsFetchedAt }))
+        await loadThroughCache(catalogRequest('ids', IDS_CONSTRAINT), {
+          onMiss: () => {
+            this.loadingIds = true
+          },
+          apply: (list, fetchedAt) => {
+            if (!list || list.length === 0) {
+              throw new Error('Could not parse transect catalog')
+            }
+            this.idList = list
+            this.idsFetchedAt = fetchedAt
+          },
+        })
       } catch (error) {
         this.idsError = error?.message || String(error)
       } finally {
@@ -563,47 +633,24 @@ export const useAppStore = defineStore('app', {
       }
     },
 
-    // Parse only from the payload, ignoring the preamble "id[2465]"
-    _parseIdList (ascii) {
-      const payload = capturePayloadBlock(ascii, 'id')
-      const clean = stripOpendapIndices(payload)
-      const nums = tokenizeNumbers(clean)
-      return nums.map(n => Number.parseInt(String(n), 10)).filter(n => Number.isFinite(n))
-    },
-
     async fetchAlongshoreList () {
       if (this.alongshoreList?.length) {
         return
       }
 
-      const cached = localStorage.getItem(ALONG_CACHE_KEY)
-      if (cached) {
-        try {
-          const obj = JSON.parse(cached)
-          if (Array.isArray(obj.list) && obj.list.length > 0) {
-            this.alongshoreList = obj.list
-            return
-          }
-        } catch { /* ignore */ }
-      }
-
-      this.loadingAlong = true
       this.alongError = null
       try {
-        const res = await fetch(ALONG_URL, { cache: 'no-store' })
-        if (!res.ok) {
-          throw new Error(`Failed to load alongshore list (${res.status})`)
-        }
-        const text = await res.text()
-        const payload = capturePayloadBlock(text, 'alongshore')
-        const clean = stripOpendapIndices(payload)
-        const nums = tokenizeNumbers(clean)
-        const list = nums.map(n => Number.parseInt(String(n), 10)).filter(n => Number.isFinite(n))
-        if (list.length === 0) {
-          throw new Error('Could not parse alongshore list')
-        }
-        this.alongshoreList = list
-        localStorage.setItem(ALONG_CACHE_KEY, JSON.stringify({ list }))
+        await loadThroughCache(catalogRequest('alongshore', ALONG_CONSTRAINT), {
+          onMiss: () => {
+            this.loadingAlong = true
+          },
+          apply: list => {
+            if (list.length === 0) {
+              throw new Error('Could not parse alongshore list')
+            }
+            this.alongshoreList = list
+          },
+        })
       } catch (error) {
         this.alongError = error?.message || String(error)
       } finally {
@@ -616,46 +663,21 @@ export const useAppStore = defineStore('app', {
         return
       }
 
-      const cached = localStorage.getItem(AREA_CACHE_KEY)
-      if (cached) {
-        try {
-          const obj = JSON.parse(cached)
-          if (Array.isArray(obj.codes) && Array.isArray(obj.names)
-            && obj.codes.length > 0 && obj.codes.length === obj.names.length) {
-            this.areacodeList = obj.codes
-            this.areanameList = obj.names
-            return
-          }
-        } catch { /* ignore */ }
-      }
-
-      this.loadingArea = true
       this.areaError = null
       try {
-        const res = await fetch(AREA_URL, { cache: 'no-store' })
-        if (!res.ok) {
-          throw new Error(`Failed to load area info (${res.status})`)
-        }
-        const text = await res.text()
-
-        const codeBlock = capturePayloadBlock(text, 'areacode')
-        const nameBlock = capturePayloadBlock(text, 'areaname')
-
-        const cleanCodes = stripOpendapIndices(codeBlock)
-        const codes = tokenizeNumbers(cleanCodes)
-          .map(n => Number.parseInt(String(n), 10))
-          .filter(n => Number.isFinite(n))
-
-        const names = parseQuotedStringArray(nameBlock)
-
-        if (codes.length === 0 || names.length === 0 || codes.length !== names.length) {
-          throw new Error('Area arrays size mismatch or empty')
-        }
-
-        this.areacodeList = codes
-        this.areanameList = names
-
-        localStorage.setItem(AREA_CACHE_KEY, JSON.stringify({ codes, names }))
+        await loadThroughCache(catalogRequest('area', AREA_CONSTRAINT), {
+          onMiss: () => {
+            this.loadingArea = true
+          },
+          apply: ({ codes, names }) => {
+            if (codes.length === 0 || names.length === 0 || codes.length !== names.length) {
+              throw new Error('Area arrays size mismatch or empty')
+            }
+
+            this.areacodeList = codes
+            this.areanameList = names
+          },
+        })
       } catch (error) {
         this.areaError = error?.message || String(error)
       } finally {
@@ -668,51 +690,24 @@ export const useAppStore = defineStore('app', {
         return
       }
 
-      const cached = localStorage.getItem(RSP_CACHE_KEY)
-      if (cached) {
-        try {
-          const obj = JSON.parse(cached)
-          const ok = Array.isArray(obj.x) && Array.isArray(obj.y) && Array.isArray(obj.lat) && Array.isArray(obj.lon)
-          if (ok && obj.x.length > 0 && obj.x.length === obj.y.length && obj.x.length === obj.lat.length && obj.x.length === obj.lon.length) {
-            this.rspXList = obj.x
-            this.rspYList = obj.y
-            this.rspLatList = obj.lat
-            this.rspLonList = obj.lon
-            return
-          }
-        } catch { /* ignore */ }
-      }
-
-      this.loadingRsp = true
       this.rspError = null
       try {
-        const res = await fetch(RSP_URL, { cache: 'no-store' })
-        if (!res.ok) {
-          throw new Error(`Failed to load RSP info (${res.status})`)
-        }
-        const text = await res.text()
-
-        const xBlock = capturePayloadBlock(text, 'rsp_x')
-        const yBlock = capturePayloadBlock(text, 'rsp_y')
-        const latBlock = capturePayloadBlock(text, 'rsp_lat')
-        const lonBlock = capturePayloadBlock(text, 'rsp_lon')
-
-        const x = tokenizeNumbers(stripOpendapIndices(xBlock))
-        const y = tokenizeNumbers(stripOpendapIndices(yBlock))
-        const lat = tokenizeNumbers(stripOpendapIndices(latBlock))
-        const lon = tokenizeNumbers(stripOpendapIndices(lonBlock))
-
-        const n = x.length
-        if (!n || y.length !== n || lat.length !== n || lon.length !== n) {
-          throw new Error('RSP arrays size mismatch or empty')
-        }
-
-        this.rspXList = x
-        this.rspYList = y
-        this.rspLatList = lat
-        this.rspLonList = lon
-
-        localStorage.setItem(RSP_CACHE_KEY, JSON.stringify({ x, y, lat, lon }))
+        await loadThroughCache(catalogRequest('rsp', RSP_CONSTRAINT), {
+          onMiss: () => {
+            this.loadingRsp = true
+          },
+          apply: ({ x, y, lat, lon }) => {
+            const n = x.length
+            if (!n || y.length !== n || lat.length !== n || lon.length !== n) {
+              throw new Error('RSP arrays size mismatch or empty')
+            }
+
+            this.rspXList = x
+            this.rspYList = y
+            this.rspLatList = lat
+            this.rspLonList = lon
+          },
+        })
       } catch (error) {
         this.rspError = error?.message || String(error)
       } finally {
@@ -725,42 +720,21 @@ export const useAppStore = defineStore('app', {
         return
       }
 
-      const cached = localStorage.getItem(WATER_CACHE_KEY)
-      if (cached) {
-        try {
-          const obj = JSON.parse(cached)
-          if (Array.isArray(obj.low) && Array.isArray(obj.high)
-            && obj.low.length > 0 && obj.low.length === obj.high.length) {
-            this.meanLowWaterList = obj.low
-            this.meanHighWaterList = obj.high
-            return
-          }
-        } catch { /* ignore */ }
-      }
-
-      this.loadingWater = true
       this.waterError = null
       try {
-        const res = await fetch(WATER_URL, { cache: 'no-store' })
-        if (!res.ok) {
-          throw new Error(`Failed to load mean water levels (${res.status})`)
-        }
-        const text = await res.text()
-
-        const highBlock = capturePayloadBlock(text, 'mean_high_water')
-        const lowBlock = capturePayloadBlock(text, 'mean_low_water')
-
-        const high = tokenizeNumbersKeepNaN(stripOpendapIndices(highBlock))
-        const low = tokenizeNumbersKeepNaN(stripOpendapIndices(lowBlock))
-
-        if (high.length === 0 || high.length !== low.length) {
-          throw new Error('Water level arrays size mismatch or empty')
-        }
-
-        this.meanHighWaterList = high
-        this.meanLowWaterList = low
-
-        localStorage.setItem(WATER_CACHE_KEY, JSON.stringify({ high, low }))
+        await loadThroughCache(catalogRequest('water', WATER_CONSTRAINT), {
+          onMiss: () => {
+            this.loadingWater = true
+          },
+          apply: ({ high, low }) => {
+            if (high.length === 0 || high.length !== low.length) {
+              throw new Error('Water level arrays size mismatch or empty')
+            }
+
+            this.meanHighWaterList = high
+            this.meanLowWaterList = low
+          },
+        })
       } catch (error) {
         this.waterError = error?.message || String(error)
       } finally {
@@ -804,422 +778,290 @@ export const useAppStore = defineStore('app', {
       return size > 0 ? size - 1 : 0
     },
 
-    async fetchBasalCoastline (transectIndex) {
+    // Load one registry dataset of a transect into `datasets[datasetKey]`
+    async fetchDataset (datasetKey, transectIndex) {
+      const entry = DATASET_REGISTRY[datasetKey]
+      if (!entry) {
+        throw new Error(`Unknown dataset key: ${datasetKey}`)
+      }
+      const state = this.datasets[datasetKey]
       if (transectIndex < 0 || transectIndex >= 2465) {
-        this.basalError = 'Invalid transect index'
+        state.error = 'Invalid transect index'
         return
       }
 
-      const timeMax = await this._timeMaxIndex('bkl')
-      const url = `${BKL_BASE_URL}?time[0:1:${timeMax}],basal_coastline[0:1:${timeMax}][${transectIndex}],testing_coastline[0:1:${timeMax}][${transectIndex}]`
-
-      // Check cache first
-      const cacheKey = `bkl_cache::${url}`
-      const cached = localStorage.getItem(cacheKey)
-      if (cached) {
-        try {
-          const obj = JSON.parse(cached)
-          const text = obj.data || ''
-          if (text) {
-            const parsed = parseBasalCoastlineAscii(text)
-            this.basalYears = parsed.years
-            this.basalCoastline = parsed.basalCoastline
-            this.testingCoastline = parsed.testingCoastline
-            this.basalReady = true
-            this.basalFetchedAt = obj.t || null
-            this.basalError = null
-            this.loadingBasal = false
-
-            refreshAsciiCacheInBackground(url, cacheKey)
-            return
-          }
-        } catch (error) {
-          console.warn('Basal cache parse error, fetching fresh:', error)
-        }
-      }
-
-      // Cancel any in-flight request
-      if (this._basalAborter) {
-        try {
-          this._basalAborter.abort()
-        } catch {
-          // Silent abort error
-        }
-      }
-      this._basalAborter = new AbortController()
+      const timeMax = await this._timeMaxIndex(datasetKey)
+      const req = datasetRequest(datasetKey, yearSeriesConstraint(entry, transectIndex, timeMax))
 
-      this.loadingBasal = true
-      this.basalError = null
-      this.basalReady = false
-      this.basalYears = []
-      this.basalCoastline = []
-      this.testingCoastline = []
+      // Cancel any in-flight request for other data
+      const aborter = this._datasetAborters[datasetKey].replace(req.url)
 
+      state.error = null
+      state.transectIndex = transectIndex
+      Object.assign(state, emptyFreshness())
       try {
-        const res = await fetch(url, { cache: 'no-store', signal: this._basalAborter.signal })
-        if (!res.ok) {
-          throw new Error(`Failed to fetch basal coastline data (${res.status})`)
-        }
-        const text = await res.text()
-        this.basalFetchedAt = Date.now()
-
-        // Parse the data
-        const parsed = parseBasalCoastlineAscii(text)
-        this.basalYears = parsed.years
-        this.basalCoastline = parsed.basalCoastline
-        this.testingCoastline = parsed.testingCoastline
-        this.basalReady = true
-
-        // Cache if reasonably small
-        if (text.length <= MAX_LOCALSTORAGE_CACHE_SIZE) {
-          try {
-            localStorage.setItem(cacheKey, JSON.stringify({
-              t: this.basalFetchedAt,
-              data: text,
-            }))
-          } catch {
-            // Cache too large or storage full
-          }
-        }
+        await loadThroughCache(req, {
+          signal: aborter.signal,
+          onMiss: () => {
+            state.loading = true
+            state.ready = false
+            state.data = emptyYearSeries(entry)
+          },
+          apply: (parsed, fetchedAt, { cached }) => {
+            state.data = parsed
+            state.ready = true
+            state.fetchedAt = fetchedAt
+            state.sourceUrl = req.url
+            state.fromCache = cached
+          },
+          onRefresh: (refreshing, error) => {
+            if (this._datasetAborters[datasetKey].isCurrent(aborter)) {
+              state.refreshing = refreshing
+              state.refreshError = error ? error.message || String(error) : null
+            }
+          },
+        })
       } catch (error) {
         if (error?.name === 'AbortError') {
           // Silent abort
         } else {
-          this.basalError = error?.message || String(error)
+          state.error = error?.message || String(error)
         }
       } finally {
-        this.loadingBasal = false
+        if (this._datasetAborters[datasetKey].isCurrent(aborter)) {
+          state.loading = false
+        }
       }
     },
 
-    async fetchMomentaryCoastline (transectIndex) {
-      if (transectIndex < 0 || transectIndex >= 2465) {
-        this.momentaryError = 'Invalid transect index'
-        return
-      }
+    async fetchAllDatasets (transectIndex) {
+      await Promise.all(Object.keys(DATASET_REGISTRY).map(key => this.fetchDataset(key, transectIndex)))
+    },
 
-      const timeMax = await this._timeMaxIndex('mkl')
-      const url = `${MKL_BASE_URL}?time[0:1:${timeMax}],momentary_coastline[0:1:${timeMax}][${transectIndex}]`
-
-      // Check cache first
-      const cacheKey = `mkl_cache::${url}`
-      const cached = localStorage.getItem(cacheKey)
-      if (cached) {
-        try {
-          const obj = JSON.parse(cached)
-          const text = obj.data || ''
-          if (text) {
-            const parsed = parseMomentaryCoastlineAscii(text)
-            this.momentaryCoastline = parsed.momentaryCoastline
-            this.momentaryReady = true
-            this.momentaryFetchedAt = obj.t || null
-            this.momentaryError = null
-            this.loadingMomentary = false
-
-            refreshAsciiCacheInBackground(url, cacheKey)
-            return
-          }
-        } catch (error) {
-          console.warn('Momentary cache parse error, fetching fresh:', error)
-        }
-      }
+    fetchBasalCoastline (transectIndex) {
+      return this.fetchDataset('bkl', transectIndex)
+    },
 
-      // Cancel any in-flight request
-      if (this._momentaryAborter) {
-        try {
-          this._momentaryAborter.abort()
-        } catch {
-          // Silent abort error
-        }
-      }
-      this._momentaryAborter = new AbortController()
+    fetchMomentaryCoastline (transectIndex) {
+      return this.fetchDataset('mkl', transectIndex)
+    },
 
-      this.loadingMomentary = true
-      this.momentaryError = null
-      this.momentaryReady = false
-      this.momentaryCoastline = []
+    fetchMeanHighWaterCross (transectIndex) {
+      return this.fetchDataset('mhw', transectIndex)
+    },
 
-      try {
-        const res = await fetch(url, { cache: 'no-store', signal: this._momentaryAborter.signal })
-        if (!res.ok) {
-          throw new Error(`Failed to fetch momentary coastline data (${res.status})`)
-        }
-        const text = await res.text()
-        this.momentaryFetchedAt = Date.now()
-
-        // Parse the data
-        const parsed = parseMomentaryCoastlineAscii(text)
-        this.momentaryCoastline = parsed.momentaryCoastline
-        this.momentaryReady = true
-
-        // Cache if reasonably small
-        if (text.length <= MAX_LOCALSTORAGE_CACHE_SIZE) {
-          try {
-            localStorage.setItem(cacheKey, JSON.stringify({
-              t: this.momentaryFetchedAt,
-              data: text,
-            }))
-          } catch {
-            // Cache too large or storage full
-          }
-        }
-      } catch (error) {
-        if (error?.name === 'AbortError') {
-          // Silent abort
-        } else {
-          this.momentaryError = error?.message || String(error)
-        }
-      } finally {
-        this.loadingMomentary = false
-      }
+    fetchDuneFootThreeNAPCross (transectIndex) {
+      return this.fetchDataset('df', transectIndex)
     },
 
-    async fetchMeanHighWaterCross (transectIndex) {
-      if (transectIndex < 0 || transectIndex >= 2465) {
-        this.mhwError = 'Invalid transect index'
-        return
-      }
+    // Load the profiles and every registry dataset of one transect into a standalone record
+    async _fetchTransectBundle (transectIndex, { signal, meter } = {}) {
+      const keys = Object.keys(DATASET_REGISTRY)
+      const [transectMax, ...timeMaxes] = await Promise.all(
+        ['transect', ...keys].map(key => this._timeMaxIndex(key)),
+      )
 
-      const timeMax = await this._timeMaxIndex('mhw')
-      const url = `${MHW_MLW_BASE_URL}?time[0:1:${timeMax}],mean_high_water_cross[0:1:${timeMax}][${transectIndex}],mean_low_water_cross[0:1:${timeMax}][${transectIndex}]`
-
-      // Check cache first
-      const cacheKey = `mhw_cache::${url}`
-      const cached = localStorage.getItem(cacheKey)
-      if (cached) {
-        try {
-          const obj = JSON.parse(cached)
-          const text = obj.data || ''
-          if (text) {
-            const parsed = parseMeanHighWaterCrossAscii(text)
-            this.mhwYears = parsed.years
-            this.meanHighWaterCross = parsed.meanHighWaterCross
-            this.meanLowWaterCross = parsed.meanLowWaterCross
-            this.mhwReady = true
-            this.mhwFetchedAt = obj.t || null
-            this.mhwError = null
-            this.loadingMhw = false
-
-            // Refresh cache in background
-            refreshAsciiCacheInBackground(url, cacheKey)
-            return
-          }
-        } catch (error) {
-          console.warn('MHW cache parse error, fetching fresh:', error)
-        }
+      const requests = [
+        datasetRequest('transect', altitudeConstraint(transectIndex, transectMax)),
+        ...keys.map((key, i) => datasetRequest(key, yearSeriesConstraint(DATASET_REGISTRY[key], transectIndex, timeMaxes[i]))),
+      ]
+      const results = await Promise.allSettled(requests.map(req => loadParsed(req, { signal, meter })))
+
+      const [profile, ...parsed] = results.map(r => (r.status === 'fulfilled' ? r.value.parsed : null))
+      const errors = results
+        .filter(r => r.status === 'rejected' && r.reason?.name !== 'AbortError')
+        .map(r => r.reason?.message || String(r.reason))
+
+      return {
+        index: transectIndex,
+        id: this.idList[transectIndex],
+        profile,
+        // Parsed registry datasets by key (null when a request failed)
+        datasets: Object.fromEntries(keys.map((key, i) => [key, parsed[i]])),
+        error: errors.length > 0 ? errors.join('\n') : null,
       }
+    },
+
+    /**
+     * Records of several transects (see _fetchTransectBundle) in the order
+     * given, leaving the current view alone. Each dataset is fetched with
+     * one hyperslab request per run of consecutive uncached indices
+     * (loadBlocks) instead of one request per transect.
+     */
+    async fetchTransectRecords (transectIndices, signal) {
+      const indices = [...new Set(transectIndices)]
+      const keys = Object.keys(DATASET_REGISTRY)
+      const [transectMax, ...timeMaxes] = await Promise.all(
+        ['transect', ...keys].map(key => this._timeMaxIndex(key)),
+      )
 
-      // Cancel any in-flight request
-      if (this._mhwAborter) {
-        try {
-          this._mhwAborter.abort()
-        } catch {
-          // Silent abort error
+      const [profiles, ...series] = await Promise.all([
+        loadBlocks('transect', indices, {
+          constraint: (start, end) => altitudeConstraint(start, transectMax, end),
+          blockReader: altitudeBlockReader,
+          blockSize: TRANSECT_BLOCK_SIZE,
+          signal,
+        }),
+        ...keys.map((key, i) => loadBlocks(key, indices, {
+          constraint: (start, end) => yearSeriesConstraint(DATASET_REGISTRY[key], start, timeMaxes[i], end),
+          blockReader: count => yearSeriesBlockReader(DATASET_REGISTRY[key], count),
+          blockSize: SERIES_BLOCK_SIZE,
+          signal,
+        })),
+      ])
+
+      return transectIndices.map(index => {
+        const errors = [...new Set([profiles, ...series].map(result => result.errors[index]).filter(Boolean))]
+        return {
+          index,
+          id: this.idList[index],
+          profile: profiles.values[index] ?? null,
+          datasets: Object.fromEntries(keys.map((key, i) => [key, series[i].values[index] ?? null])),
+          error: errors.length > 0 ? errors.join('\n') : null,
         }
-      }
-      this._mhwAborter = new AbortController()
+      })
+    },
 
-      this.loadingMhw = true
-      this.mhwError = null
-      this.mhwReady = false
-      this.mhwYears = []
-      this.meanHighWaterCross = []
-      this.meanLowWaterCross = []
+    async fetchComparison (transectIndices) {
+      const aborter = this._comparisonAborter.replace(String(transectIndices))
 
+      const indices = (transectIndices || []).filter(i => i >= 0 && i < 2465)
+      if (indices.length === 0) {
+        this.comparisonTransects = []
+        this.comparisonError = 'No valid transects to compare'
+        return
+      }
+
+      this.loadingComparison = true
+      this.comparisonError = null
       try {
-        const res = await fetch(url, { cache: 'no-store', signal: this._mhwAborter.signal })
-        if (!res.ok) {
-          throw new Error(`Failed to fetch mean high water cross data (${res.status})`)
-        }
-        const text = await res.text()
-        this.mhwFetchedAt = Date.now()
-
-        // Parse the data
-        const parsed = parseMeanHighWaterCrossAscii(text)
-        this.mhwYears = parsed.years
-        this.meanHighWaterCross = parsed.meanHighWaterCross
-        this.meanLowWaterCross = parsed.meanLowWaterCross
-        this.mhwReady = true
-
-        // Cache if reasonably small
-        if (text.length <= MAX_LOCALSTORAGE_CACHE_SIZE) {
-          try {
-            localStorage.setItem(cacheKey, JSON.stringify({
-              t: this.mhwFetchedAt,
-              data: text,
-            }))
-          } catch {
-            // Cache too large or storage full
-          }
+        const records = await this.fetchTransectRecords(indices, aborter.signal)
+        if (aborter.signal.aborted) {
+          return
         }
+        this.comparisonTransects = records
       } catch (error) {
-        if (error?.name === 'AbortError') {
-          // Silent abort
-        } else {
-          this.mhwError = error?.message || String(error)
+        if (error?.name !== 'AbortError') {
+          this.comparisonError = error?.message || String(error)
         }
       } finally {
-        this.loadingMhw = false
+        if (this._comparisonAborter.isCurrent(aborter)) {
+          this.loadingComparison = false
+        }
       }
     },
 
-    async fetchDuneFootThreeNAPCross (transectIndex) {
-      if (transectIndex < 0 || transectIndex >= 2465) {
-        this.dfError = 'Invalid transect index'
-        return
-      }
+    // Load every registry dataset for all transects of an area with one hyperslab request each
+    async fetchAreaSeries (areacode) {
+      const aborter = this._areaAborter.replace(areacode)
 
-      const timeMax = await this._timeMaxIndex('df')
-      const url = `${DF_BASE_URL}?time[0:1:${timeMax}],dune_foot_threeNAP_cross[0:1:${timeMax}][${transectIndex}]`
-
-      // Check cache first
-      const cacheKey = `df_cache::${url}`
-      const cached = localStorage.getItem(cacheKey)
-      if (cached) {
-        try {
-          const obj = JSON.parse(cached)
-          const text = obj.data || ''
-          if (text) {
-            const parsed = parseDuneFootThreeNAPCrossAscii(text)
-            this.duneFootThreeNAPCross = parsed.duneFootThreeNAPCross
-            this.dfReady = true
-            this.dfFetchedAt = obj.t || null
-            this.dfError = null
-            this.loadingDf = false
-
-            refreshAsciiCacheInBackground(url, cacheKey)
-            return
-          }
-        } catch (error) {
-          console.warn('DF cache parse error, fetching fresh:', error)
+      const indices = []
+      for (const [i, code] of (this.areacodeList || []).entries()) {
+        if (code === areacode) {
+          indices.push(i)
         }
       }
-
-      // Cancel any in-flight request
-      if (this._dfAborter) {
-        try {
-          this._dfAborter.abort()
-        } catch {
-          // Silent abort error
-        }
+      if (indices.length === 0) {
+        this.areaSeries = { code: areacode, start: null, end: null, indices: [], datasets: {}, sources: {} }
+        this.areaSeriesError = `No transects with area code ${areacode}`
+        return
       }
-      this._dfAborter = new AbortController()
-
-      this.loadingDf = true
-      this.dfError = null
-      this.dfReady = false
-      this.duneFootThreeNAPCross = []
+      // Transects of an area are contiguous in the catalog; the slab spans any gaps
+      const start = indices[0]
+      const end = indices.at(-1)
+      const count = end - start + 1
 
+      this.loadingAreaSeries = true
+      this.areaSeriesError = null
       try {
-        const res = await fetch(url, { cache: 'no-store', signal: this._dfAborter.signal })
-        if (!res.ok) {
-          throw new Error(`Failed to fetch dune foot threeNAP cross data (${res.status})`)
+        const keys = Object.keys(DATASET_REGISTRY)
+        const timeMaxes = await Promise.all(keys.map(key => this._timeMaxIndex(key)))
+        const requests = keys.map((key, i) => cacheRequest(
+          key,
+          DATASET_TIME_CONFIG[key].ncBaseUrl,
+          yearSeriesConstraint(DATASET_REGISTRY[key], start, timeMaxes[i], end),
+          areaSeriesReader(DATASET_REGISTRY[key], count),
+        ))
+        const results = await Promise.allSettled(requests.map(req => loadParsed(req, { signal: aborter.signal })))
+        if (aborter.signal.aborted) {
+          return
         }
-        const text = await res.text()
-        this.dfFetchedAt = Date.now()
-
-        // Parse the data
-        const parsed = parseDuneFootThreeNAPCrossAscii(text)
-        this.duneFootThreeNAPCross = parsed.duneFootThreeNAPCross
-        this.dfReady = true
-
-        // Cache if reasonably small
-        if (text.length <= MAX_LOCALSTORAGE_CACHE_SIZE) {
-          try {
-            localStorage.setItem(cacheKey, JSON.stringify({
-              t: this.dfFetchedAt,
-              data: text,
-            }))
-          } catch {
-            // Cache too large or storage full
-          }
+
+        const errors = results
+          .filter(r => r.status === 'rejected' && r.reason?.name !== 'AbortError')
+          .map(r => r.reason?.message || String(r.reason))
+        this.areaSeries = {
+          code: areacode,
+          start,
+          end,
+          indices,
+          datasets: Object.fromEntries(keys.map((key, i) => [key, results[i].status === 'fulfilled' ? results[i].value.parsed : null])),
+          sources: Object.fromEntries(keys.map((key, i) => [key, requests[i].url])),
         }
+        this.areaSeriesError = errors.length > 0 ? errors.join('\n') : null
       } catch (error) {
-        if (error?.name === 'AbortError') {
-          // Silent abort
-        } else {
-          this.dfError = error?.message || String(error)
+        if (error?.name !== 'AbortError') {
+          this.areaSeriesError = error?.message || String(error)
         }
       } finally {
-        this.loadingDf = false
+        if (this._areaAborter.isCurrent(aborter)) {
+          this.loadingAreaSeries = false
+        }
       }
     },
 
     _applyAltitudeChart (parsed) {
       this.years = parsed.years
+      this.times = parsed.times || []
+      this.topoDates = parsed.topoDates || []
+      this.bathyDates = parsed.bathyDates || []
       this.crossShore = parsed.crossShore
       this.altitudeByYear = parsed.altitudeByYear
       this.chartReady = true
     },
 
-    async fetchOpendapAscii (url) {
-      if (!url) {
+    async fetchAltitudeProfiles (transectIndex) {
+      if (transectIndex < 0 || transectIndex >= 2465) {
+        this.error = 'Invalid transect index'
         return
       }
 
-      // Check cache FIRST before making network request for instant loading
-      const cacheKey = this._cacheKey(url)
-      const cached = localStorage.getItem(cacheKey)
-      if (cached) {
-        try {
-          const obj = JSON.parse(cached)
-          const text = obj.data || ''
-          if (text) {
-            const parsed = parseOpendapAscii(text)
-            this._applyAltitudeChart(parsed)
-            this.rawText = text
-            this.fetchedAt = obj.t || null
-            this.error = null
-            this.warning = null
-            this.loading = false
-
-            refreshAsciiCacheInBackground(url, cacheKey)
-            return
-          }
-        } catch (error) {
-          // Cache corrupted, continue to fetch
-          console.warn('Cache parse error, fetching fresh:', error)
-        }
-      }
+      const timeMax = await this._timeMaxIndex('transect')
+      const req = datasetRequest('transect', altitudeConstraint(transectIndex, timeMax))
 
-      // Cancel any in-flight request
-      if (this._aborter) {
-        try {
-          this._aborter.abort()
-        } catch {
-          // Silent abort error
-        }
-      }
-      this._aborter = new AbortController()
+      // Cancel any in-flight request for another transect
+      const aborter = this._aborter.replace(req.url)
 
-      this.loading = true
       this.error = null
       this.warning = null
-      this.chartReady = false
-      this.years = []
-      this.crossShore = []
-      this.altitudeByYear = []
+      this.transectIndex = transectIndex
+      Object.assign(this, emptyFreshness())
       try {
-        const res = await fetch(url, { cache: 'no-store', signal: this._aborter.signal })
-        if (!res.ok) {
-          throw new Error(`Failed to fetch OpenDAP data (${res.status})`)
-        }
-        const text = await res.text()
-        this.rawText = text
-        this.fetchedAt = Date.now()
-
-        this._applyAltitudeChart(parseOpendapAscii(text))
-
-        // Try to cache only if reasonably small
-        if (text.length <= MAX_LOCALSTORAGE_CACHE_SIZE) {
-          try {
-            localStorage.setItem(cacheKey, JSON.stringify({ t: this.fetchedAt, data: text }))
-          } catch {
-            this.warning = 'Data fetched and parsed, but too large to cache locally. It will not be stored for offline reuse.'
-          }
-        } else {
-          this.warning = 'Data fetched and parsed, but skipped local caching due to size.'
-        }
+        await loadThroughCache(req, {
+          signal: aborter.signal,
+          onMiss: () => {
+            this.loading = true
+            this.chartReady = false
+            this.years = []
+            this.times = []
+            this.topoDates = []
+            this.bathyDates = []
+            this.crossShore = []
+            this.altitudeByYear = []
+          },
+          apply: (parsed, fetchedAt, { cached }) => {
+            this._applyAltitudeChart(parsed)
+            this.fetchedAt = fetchedAt
+            this.sourceUrl = req.url
+            this.fromCache = cached
+          },
+          onRefresh: (refreshing, error) => {
+            if (this._aborter.isCurrent(aborter)) {
+              this.refreshing = refreshing
+              this.refreshError = error ? error.message || String(error) : null
+            }
+          },
+        })
       } catch (error) {
         if (error?.name === 'AbortError') {
           // Silent abort
@@ -1227,42 +1069,139 @@ export const useAppStore = defineStore('app', {
           this.error = error?.message || String(error)
         }
       } finally {
-        this.loading = false
+        if (this._aborter.isCurrent(aborter)) {
+          this.loading = false
+        }
       }
     },
 
-    async loadFromCache (url) {
-      if (!url) {
-        return
+    /**
+     * Warm the cache for the `count` transects on either side of
+     * `transectIndex`, nearest first, one at a time while the browser is
+     * idle and the page is not loading anything itself. Stops when
+     * its own requests have downloaded `budgetBytes`, offline, on a data-saving
+     * connection, or when cancelPrefetch or another run replaces it.
+     * Resolves to the indices it went through.
+     */
+    async prefetchNeighbours (transectIndex, { count = PREFETCH_NEIGHBOURS, budgetBytes = PREFETCH_BUDGET_BYTES } = {}) {
+      this.cancelPrefetch()
+      if (!prefetchAllowed()) {
+        return []
       }
+      const run = { controller: new AbortController(), current: null, stopped: false }
+      this._prefetchRun = run
+      const { signal } = run.controller
+      // Bytes of this run's own requests; page loads meanwhile do not count
+      const meter = { bytes: 0 }
+      const busy = () => this.loading || Object.values(this.datasets).some(state => state.loading)
+
+      const done = []
       try {
-        const cache = localStorage.getItem(this._cacheKey(url))
-        if (!cache) {
-          this.error = 'No cached data for this URL.'
-          return
+        for (const index of neighbourIndices(transectIndex, count, this.idList.length)) {
+          do {
+            await whenIdle(signal)
+          } while (busy() && !run.stopped)
+          if (run.stopped || !this.online || meter.bytes >= budgetBytes) {
+            break
+          }
+          run.current = index
+          await this._fetchTransectBundle(index, { signal, meter })
+          run.current = null
+          if (signal.aborted) {
+            break
+          }
+          done.push(index)
         }
-        const obj = JSON.parse(cache)
-        const text = obj.data || ''
-        this.rawText = text
-        this.fetchedAt = obj.t || null
-        this.error = null
-        this.warning = null
-
-        this._applyAltitudeChart(parseOpendapAscii(text))
       } catch (error) {
-        this.error = error?.message || 'Failed to load/parse cache.'
+        if (error?.name !== 'AbortError') {
+          console.warn('Neighbour prefetch stopped:', error)
+        }
+      } finally {
+        if (this._prefetchRun?.controller === run.controller) {
+          this._prefetchRun = null
+        }
       }
+      return done
     },
 
-    clearCache (url) {
+    // Stop the neighbour prefetch; a transect it is fetching right now is finished when it is `keepIndex`
+    cancelPrefetch (keepIndex = null) {
+      const run = this._prefetchRun
+      if (!run) {
+        return
+      }
+      run.stopped = true
+      if (run.current !== keepIndex) {
+        run.controller.abort()
+      }
+      this._prefetchRun = null
+    },
+
+    setOnline (online) {
+      this.online = online
+    },
+
+    // Run every failed load of the transect page again (catalog lists, profiles, registry datasets)
+    async retryFailed () {
+      const jobs = CATALOG_STATUS.filter(item => this[item.error]).map(item => this[item.action]())
+      if (this.error && this.transectIndex != null) {
+        jobs.push(this.fetchAltitudeProfiles(this.transectIndex))
+      }
+      for (const [key, state] of Object.entries(this.datasets)) {
+        if (state.error && state.transectIndex != null) {
+          jobs.push(this.fetchDataset(key, state.transectIndex))
+        }
+      }
+      await Promise.all(jobs)
+    },
+
+    async loadFromCache (url) {
       if (!url) {
         return
       }
-      localStorage.removeItem(this._cacheKey(url))
+      const cached = await cacheGet(url)
+      if (!cached) {
+        this.error = 'No cached data for this URL.'
+        return
+      }
+      this.fetchedAt = cached.fetchedAt
+      this.sourceUrl = url
+      this.error = null
+      this.warning = null
+      Object.assign(this, emptyFreshness(), { fromCache: true })
+
+      this._applyAltitudeChart(cached.value)
+    },
+
+    async clearCache (url) {
+      if (!url) {
+        return
+      }
+      await cacheDelete(url)
+    },
+
+    // Cache inspector: entry metadata plus the browser's storage estimate
+    async fetchCacheInfo () {
+      this.loadingCacheInfo = true
+      try {
+        this.cacheEntries = await cacheList()
+        this.cacheUsage = navigator.storage?.estimate ? await navigator.storage.estimate() : null
+      } catch (error) {
+        console.warn('Could not read cache info:', error)
+      } finally {
+        this.loadingCacheInfo = false
+      }
+    },
+
+    // Clear one dataset's entries, or the whole cache without an argument
+    async clearCachedData (dataset) {
+      await cacheClear(dataset)
+      await this.fetchCacheInfo()
     },
 
-    _cacheKey (url) {
-      return `opendap_cache::${url}`
+    async removeCacheEntry (key) {
+      await cacheDelete(key)
+      await this.fetchCacheInfo()
     },
   },
 })
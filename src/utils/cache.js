@@ -0,0 +1,262 @@
+/**
+ * utils/cache.js
+ *
+ * IndexedDB cache for parsed OpenDAP responses.
+ *
+ * Entry metadata (dataset, size, fetch/access times, ETag/Last-Modified)
+ * and values live in separate object stores, so listing the cache and LRU
+ * eviction never read the data itself. Numeric arrays are stored as
+ * Float64Array (NaN for missing values) and come back as plain arrays
+ * with null. Without IndexedDB every call is a no-op and nothing is cached.
+ */
+
+const DB_NAME = 'coastviewer-cache'
+const DB_VERSION = 1
+const META_STORE = 'meta'
+const DATA_STORE = 'data'
+
+// Least recently used entries are evicted above this total size
+export const CACHE_BUDGET_BYTES = 50 * 1024 * 1024
+
+let dbPromise = null
+
+function openDb () {
+  if (!dbPromise) {
+    dbPromise = new Promise(resolve => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null)
+        return
+      }
+      const req = indexedDB.open(DB_NAME, DB_VERSION)
+      req.addEventListener('upgradeneeded', () => {
+        req.result.createObjectStore(META_STORE, { keyPath: 'key' })
+        req.result.createObjectStore(DATA_STORE)
+      })
+      req.addEventListener('success', () => resolve(req.result))
+      req.addEventListener('error', () => {
+        console.warn('IndexedDB unavailable, responses will not be cached:', req.error)
+        resolve(null)
+      })
+    })
+  }
+  return dbPromise
+}
+
+// Run `fn(metaStore, dataStore)` in one transaction; resolves on commit
+function transaction (db, mode, fn) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction([META_STORE, DATA_STORE], mode)
+    tx.addEventListener('complete', () => resolve())
+    tx.addEventListener('error', () => reject(tx.error))
+    tx.addEventListener('abort', () => reject(tx.error))
+    fn(tx.objectStore(META_STORE), tx.objectStore(DATA_STORE))
+  })
+}
+
+function isNumericArray (value) {
+  return Array.isArray(value) && value.length > 0 && value.every(v => v === null || typeof v === 'number')
+}
+
+function isPlainObject (value) {
+  return value !== null && typeof value === 'object' && !ArrayBuffer.isView(value) && !Array.isArray(value)
+}
+
+function pack (value) {
+  if (isNumericArray(value)) {
+    return Float64Array.from(value, v => v ?? Number.NaN)
+  }
+  if (Array.isArray(value)) {
+    return value.map(v => pack(v))
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, pack(v)]))
+  }
+  return value
+}
+
+function unpack (value) {
+  if (value instanceof Float64Array) {
+    return Array.from(value, v => (Number.isNaN(v) ? null : v))
+  }
+  if (Array.isArray(value)) {
+    return value.map(v => unpack(v))
+  }
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, unpack(v)]))
+  }
+  return value
+}
+
+// Approximate size in bytes of a packed value
+function byteSize (value) {
+  if (ArrayBuffer.isView(value)) {
+    return value.byteLength
+  }
+  if (Array.isArray(value)) {
+    return value.reduce((sum, v) => sum + byteSize(v), 0)
+  }
+  if (isPlainObject(value)) {
+    return Object.entries(value).reduce((sum, [k, v]) => sum + k.length * 2 + byteSize(v), 0)
+  }
+  if (typeof value === 'string') {
+    return value.length * 2
+  }
+  return 8
+}
+
+/**
+ * Cached entry for `key` as { key, dataset, url, size, fetchedAt,
+ * lastAccess, etag, lastModified, value }, or null. Marks it as used.
+ */
+export async function cacheGet (key) {
+  const db = await openDb()
+  if (!db) {
+    return null
+  }
+  let meta = null
+  let value
+  try {
+    await transaction(db, 'readwrite', (metaStore, dataStore) => {
+      metaStore.get(key).addEventListener('success', event => {
+        meta = event.target.result || null
+        if (meta) {
+          meta.lastAccess = Date.now()
+          metaStore.put(meta)
+          dataStore.get(key).addEventListener('success', e => {
+            value = e.target.result
+          })
+        }
+      })
+    })
+  } catch (error) {
+    console.warn('Cache read failed:', error)
+    return null
+  }
+  return meta && value !== undefined ? { ...meta, value: unpack(value) } : null
+}
+
+// Store a parsed value, then evict least recently used entries over budget
+export async function cachePut ({ key, dataset, url, value, fetchedAt, etag = null, lastModified = null }) {
+  const db = await openDb()
+  if (!db) {
+    return false
+  }
+  const packed = pack(value)
+  const meta = { key, dataset, url, size: byteSize(packed), fetchedAt, lastAccess: Date.now(), etag, lastModified }
+  try {
+    await transaction(db, 'readwrite', (metaStore, dataStore) => {
+      metaStore.put(meta)
+      dataStore.put(packed, key)
+    })
+    await evictToBudget(db, CACHE_BUDGET_BYTES)
+    return true
+  } catch (error) {
+    console.warn('Cache write failed:', error)
+    return false
+  }
+}
+
+// Update metadata only, e.g. after a 304 Not Modified revalidation
+export async function cacheTouch (key, changes) {
+  const db = await openDb()
+  if (!db) {
+    return
+  }
+  try {
+    await transaction(db, 'readwrite', metaStore => {
+      metaStore.get(key).addEventListener('success', event => {
+        const meta = event.target.result
+        if (meta) {
+          metaStore.put({ ...meta, ...changes })
+        }
+      })
+    })
+  } catch (error) {
+    console.warn('Cache update failed:', error)
+  }
+}
+
+async function evictToBudget (db, budget) {
+  await transaction(db, 'readwrite', (metaStore, dataStore) => {
+    metaStore.getAll().addEventListener('success', event => {
+      const entries = event.target.result.sort((a, b) => a.lastAccess - b.lastAccess)
+      let total = entries.reduce((sum, meta) => sum + meta.size, 0)
+      for (const meta of entries) {
+        if (total <= budget) {
+          break
+        }
+        metaStore.delete(meta.key)
+        dataStore.delete(meta.key)
+        total -= meta.size
+      }
+    })
+  })
+}
+
+// Metadata of every entry, most recently used first
+export async function cacheList () {
+  const db = await openDb()
+  if (!db) {
+    return []
+  }
+  let entries = []
+  await transaction(db, 'readonly', metaStore => {
+    metaStore.getAll().addEventListener('success', event => {
+      entries = event.target.result
+    })
+  })
+  return entries.sort((a, b) => b.lastAccess - a.lastAccess)
+}
+
+export async function cacheDelete (key) {
+  const db = await openDb()
+  if (!db) {
+    return
+  }
+  await transaction(db, 'readwrite', (metaStore, dataStore) => {
+    metaStore.delete(key)
+    dataStore.delete(key)
+  })
+}
+
+// Remove every entry of one dataset, or everything when `dataset` is omitted
+export async function cacheClear (dataset) {
+  const db = await openDb()
+  if (!db) {
+    return
+  }
+  await transaction(db, 'readwrite', (metaStore, dataStore) => {
+    if (dataset == null) {
+      metaStore.clear()
+      dataStore.clear()
+      return
+    }
+    metaStore.getAll().addEventListener('success', event => {
+      for (const meta of event.target.result) {
+        if (meta.dataset === dataset) {
+          metaStore.delete(meta.key)
+          dataStore.delete(meta.key)
+        }
+      }
+    })
+  })
+}
+
+// Request headers that let the server answer 304 Not Modified
+export function conditionalHeaders (validators) {
+  const headers = {}
+  if (validators?.etag) {
+    headers['If-None-Match'] = validators.etag
+  }
+  if (validators?.lastModified) {
+    headers['If-Modified-Since'] = validators.lastModified
+  }
+  return headers
+}
+
+export function responseValidators (res) {
+  return {
+    etag: res.headers.get('ETag'),
+    lastModified: res.headers.get('Last-Modified'),
+  }
+}
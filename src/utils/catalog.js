@@ -0,0 +1,73 @@
+/**
+ * utils/catalog.js
+ *
+ * The transect catalog as table rows, and the filters of the catalog
+ * view: area codes, an alongshore range and ranges for both water levels.
+ * Range bounds are inclusive; a null bound is open.
+ */
+
+/**
+ * One row per transect from the store's catalog-wide lists. Alongshore
+ * is in metres (the catalog stores decametres), missing values are null.
+ */
+export function catalogRows ({ idList, alongshoreList, areacodeList, areanameList, rspXList, rspYList, rspLatList, rspLonList, meanLowWaterList, meanHighWaterList }) {
+  const value = (list, i) => {
+    const v = list?.[i]
+    return v != null && Number.isFinite(v) ? v : null
+  }
+  return (idList || []).map((id, i) => ({
+    index: i,
+    id,
+    areacode: value(areacodeList, i),
+    areaname: (areanameList?.[i] || '').trim(),
+    alongshore: value(alongshoreList, i) == null ? null : alongshoreList[i] * 10,
+    rspX: value(rspXList, i),
+    rspY: value(rspYList, i),
+    rspLat: value(rspLatList, i),
+    rspLon: value(rspLonList, i),
+    meanLowWater: value(meanLowWaterList, i),
+    meanHighWater: value(meanHighWaterList, i),
+  }))
+}
+
+export function emptyCatalogFilter () {
+  return { areas: [], alongshore: [null, null], meanLowWater: [null, null], meanHighWater: [null, null] }
+}
+
+function inRange (v, [min, max]) {
+  if (min == null && max == null) {
+    return true
+  }
+  return v != null && (min == null || v >= min) && (max == null || v <= max)
+}
+
+// Rows passing every set filter; rows without a value fail a set range
+export function filterCatalog (rows, { areas = [], alongshore = [null, null], meanLowWater = [null, null], meanHighWater = [null, null] } = {}) {
+  const codes = new Set(areas)
+  return rows.filter(row => (codes.size === 0 || codes.has(row.areacode))
+    && inRange(row.alongshore, alongshore)
+    && inRange(row.meanLowWater, meanLowWater)
+    && inRange(row.meanHighWater, meanHighWater))
+}
+
+// Short description of the set filters, e.g. for export metadata; '' when none is set
+export function describeCatalogFilter ({ areas = [], alongshore = [null, null], meanLowWater = [null, null], meanHighWater = [null, null] } = {}) {
+  const range = (name, [min, max], units) => {
+    if (min == null && max == null) {
+      return null
+    }
+    if (min == null) {
+      return `${name} ≤ ${max} ${units}`
+    }
+    if (max == null) {
+      return `${name} ≥ ${min} ${units}`
+    }
+    return `${name} ${min} to ${max} ${units}`
+  }
+  return [
+    areas.length > 0 ? `area ${[...areas].sort((a, b) => a - b).join(', ')}` : null,
+    range('alongshore', alongshore, 'm'),
+    range('MLW', meanLowWater, 'm NAP'),
+    range('MHW', meanHighWater, 'm NAP'),
+  ].filter(Boolean).join('; ')
+}
@@ -0,0 +1,160 @@
+/**
+ * utils/chart.js
+ *
+ * Small helpers shared by the ECharts views
+ */
+
+// Debounce utility for performance optimization
+export function debounce (func, wait) {
+  let timeout
+  return function executedFunction (...args) {
+    const later = () => {
+      clearTimeout(timeout)
+      func(...args)
+    }
+    clearTimeout(timeout)
+    timeout = setTimeout(later, wait)
+  }
+}
+
+/* -------------------- Jet colormap utility -------------------- */
+export function createJetColormap (n) {
+  if (!Number.isFinite(n) || n <= 0) {
+    return []
+  }
+  if (n === 1) {
+    return ['rgb(0,0,131)'] // arbitrary single color
+  }
+
+  function jetRGB (t) {
+    t = Math.max(0, Math.min(1, t))
+    const r = Math.min(1, Math.max(0, 1.5 - Math.abs(4 * t - 3)))
+    const g = Math.min(1, Math.max(0, 1.5 - Math.abs(4 * t - 2)))
+    const b = Math.min(1, Math.max(0, 1.5 - Math.abs(4 * t - 1)))
+    const gamma = 0.9
+    const to255 = x => Math.round(255 * Math.pow(x, gamma))
+    return `rgb(${to255(r)},${to255(g)},${to255(b)})`
+  }
+
+  const colors = []
+  for (let i = 0; i < n; i++) {
+    const t = n === 1 ? 0.5 : 1 - i / (n - 1) // reversed: red → blue
+    colors.push(jetRGB(t))
+  }
+  return colors
+}
+
+// Base colours for multi-transect views, one per transect (cycled)
+export const TRANSECT_BASE_COLORS = [
+  '#1565C0', // Blue
+  '#C62828', // Red
+  '#2E7D32', // Green
+  '#6A1B9A', // Purple
+  '#EF6C00', // Orange
+  '#00838F', // Teal
+  '#4E342E', // Brown
+  '#37474F', // Blue grey
+]
+
+function hexToRgb (hex) {
+  const clean = hex.replace('#', '')
+  const n = Number.parseInt(clean, 16)
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255]
+}
+
+/* -------------------- Single-hue shade ramp -------------------- */
+// Oldest entry is lightest, newest is the base colour itself
+export function createShadeColormap (baseHex, n) {
+  if (!Number.isFinite(n) || n <= 0) {
+    return []
+  }
+  const [r, g, b] = hexToRgb(baseHex)
+  if (n === 1) {
+    return [`rgb(${r},${g},${b})`]
+  }
+
+  const colors = []
+  for (let i = 0; i < n; i++) {
+    // mix with white: 70% white for the first entry, 0% for the last
+    const w = 0.7 * (1 - i / (n - 1))
+    const mix = c => Math.round(c + (255 - c) * w)
+    colors.push(`rgb(${mix(r)},${mix(g)},${mix(b)})`)
+  }
+  return colors
+}
+
+export function transectBaseColor (position) {
+  return TRANSECT_BASE_COLORS[position % TRANSECT_BASE_COLORS.length]
+}
+
+// Epoch milliseconds as an ISO date (2021-04-13); '' when missing
+export function formatDate (ms) {
+  return ms == null || !Number.isFinite(ms) ? '' : new Date(ms).toISOString().slice(0, 10)
+}
+
+// Helper to extract x/y robustly from tooltip param
+export function getXY (p) {
+  if (Array.isArray(p?.value)) {
+    return { x: p.value[0], y: p.value[1] }
+  }
+  if (Array.isArray(p?.data)) {
+    return { x: p.data[0], y: p.data[1] }
+  }
+  return { x: p?.axisValue, y: p?.value }
+}
+
+// Helper function to find first valid (non-null, non-NaN) index across multiple series
+export function findFirstValidIndex (...seriesArrays) {
+  const maxLength = Math.max(...seriesArrays.map(arr => arr?.length || 0))
+  for (let i = 0; i < maxLength; i++) {
+    for (const series of seriesArrays) {
+      if (series && series[i] != null && Number.isFinite(series[i])) {
+        return i
+      }
+    }
+  }
+  return 0 // Default to start if no valid values found
+}
+
+function sameLabels (a, b) {
+  return a.length === b.length && a.every((v, i) => v === b[i])
+}
+
+/**
+ * Align year series on `axisYears` and slice them from the first year in
+ * which any series has a value. Each column is { years, values, ... };
+ * columns on the axis's own time steps are aligned by index, columns on
+ * another time axis are matched by year label. `shown(label)` limits the
+ * axis to selected years and `times` (epoch ms, parallel to `axisYears`)
+ * is carried along. Returns { years, times, columns } or null while there
+ * is no axis yet.
+ */
+export function yearSeriesPlot (axisYears, columns, { times = [], shown = null } = {}) {
+  const keep = [...(axisYears || []).keys()].filter(i => !shown || shown(axisYears[i]))
+  if (keep.length === 0) {
+    return null
+  }
+  const years = keep.map(i => axisYears[i])
+
+  const aligned = columns.map(column => {
+    const values = column.values || []
+    const columnYears = column.years || []
+    if (columnYears.length === 0 || sameLabels(columnYears, axisYears)) {
+      return { ...column, values: keep.map(i => values[i] ?? null) }
+    }
+    const byYear = new Map()
+    for (const [i, year] of columnYears.entries()) {
+      if (!byYear.has(year)) {
+        byYear.set(year, values[i] ?? null)
+      }
+    }
+    return { ...column, values: years.map(year => byYear.get(year) ?? null) }
+  })
+
+  const first = findFirstValidIndex(...aligned.map(c => c.values))
+  return {
+    years: years.slice(first),
+    times: keep.map(i => times[i] ?? null).slice(first),
+    columns: aligned.map(c => ({ ...c, values: c.values.slice(first) })),
+  }
+}
@@ -0,0 +1,27 @@
+/**
+ * utils/config.js
+ *
+ * Where the data comes from. The OpenDAP base URL is taken from, in order:
+ *   1. runtime config: `opendapBaseUrl` in public/config.js, which a
+ *      deployed build can edit without rebuilding
+ *   2. build time: VITE_OPENDAP_BASE_URL (e.g. in .env.local)
+ *   3. the Deltares THREDDS server
+ * Dataset paths such as `rijkswaterstaat/MHW_MLW/MHW_MLW.nc` are relative
+ * to it, so a local mirror or the mock server (mock/server.js) only has to
+ * keep that layout.
+ */
+
+export const DEFAULT_OPENDAP_BASE_URL = 'https://opendap.deltares.nl/thredds/dodsC/opendap'
+
+function runtimeConfig () {
+  return (typeof window === 'undefined' ? null : window.COASTVIEWER_CONFIG) || {}
+}
+
+export const OPENDAP_BASE_URL = String(
+  runtimeConfig().opendapBaseUrl || import.meta.env?.VITE_OPENDAP_BASE_URL || DEFAULT_OPENDAP_BASE_URL,
+).replace(/\/+$/, '')
+
+// Absolute URL of a dataset path on the configured server
+export function opendapUrl (path) {
+  return `${OPENDAP_BASE_URL}/${path}`
+}
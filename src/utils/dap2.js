@@ -0,0 +1,533 @@
+/**
+ * utils/dap2.js
+ *
+ * Minimal OPeNDAP DAP2 client: parses .dds and .das documents and decodes
+ * the binary .dods (XDR) response into typed arrays.
+ *
+ * Spec: https://www.opendap.org/pdf/ESE-RFC-004v1.2.pdf
+ */
+
+import { request } from '@/utils/request'
+
+const BASE_TYPES = {
+  byte: { array: Uint8Array, size: 1 },
+  int8: { array: Int8Array, size: 1 },
+  int16: { array: Int16Array, size: 4 }, // XDR widens 16-bit ints to 4 bytes
+  uint16: { array: Uint16Array, size: 4 },
+  int32: { array: Int32Array, size: 4 },
+  uint32: { array: Uint32Array, size: 4 },
+  float32: { array: Float32Array, size: 4 },
+  float64: { array: Float64Array, size: 8 },
+  string: null,
+  url: null,
+}
+
+const SEQUENCE_START = 0x5A_00_00_00
+const SEQUENCE_END = 0xA5_00_00_00
+
+export class DapError extends Error {
+  constructor (message) {
+    super(message)
+    this.name = 'DapError'
+  }
+}
+
+/* -------------------- Tokenizer (shared by DDS and DAS) -------------------- */
+const TOKEN_RE = /\s*("(?:[^"\\]|\\.)*"|[{}[\]=;:,]|[^\s{}[\]=;:,"]+)/y
+
+function tokenize (text) {
+  const tokens = []
+  TOKEN_RE.lastIndex = 0
+  let m
+  while ((m = TOKEN_RE.exec(text)) !== null) {
+    tokens.push(m[1])
+  }
+  return tokens
+}
+
+class TokenStream {
+  constructor (tokens) {
+    this.tokens = tokens
+    this.pos = 0
+  }
+
+  peek () {
+    return this.tokens[this.pos]
+  }
+
+  next () {
+    if (this.pos >= this.tokens.length) {
+      throw new DapError('Unexpected end of DAP document')
+    }
+    return this.tokens[this.pos++]
+  }
+
+  expect (value) {
+    const token = this.next()
+    if (token.toLowerCase() !== value.toLowerCase()) {
+      throw new DapError(`Expected "${value}" but found "${token}"`)
+    }
+    return token
+  }
+}
+
+// Error { code = 404; message = "..."; }
+function throwIfErrorDocument (text) {
+  if (/^\s*Error\s*\{/.test(text)) {
+    const message = text.match(/message\s*=\s*"((?:[^"\\]|\\.)*)"/)?.[1]
+    throw new DapError(message ? message.replaceAll(String.raw`\"`, '"') : text.trim().slice(0, 500))
+  }
+}
+
+/* -------------------- DDS -------------------- */
+function parseVarName (p) {
+  const name = decodeURIComponent(p.next())
+  const dims = []
+  while (p.peek() === '[') {
+    p.next()
+    const first = p.next()
+    if (p.peek() === '=') {
+      p.next()
+      dims.push({ name: first, size: Number(p.next()) })
+    } else {
+      dims.push({ name: null, size: Number(first) })
+    }
+    p.expect(']')
+  }
+  return { name, dims }
+}
+
+function parseDeclarations (p) {
+  const out = []
+  while (p.peek() && p.peek() !== '}') {
+    out.push(parseDeclaration(p))
+  }
+  return out
+}
+
+function parseDeclaration (p) {
+  const keyword = p.next()
+  const kind = keyword.toLowerCase()
+
+  if (kind === 'structure' || kind === 'sequence') {
+    p.expect('{')
+    const fields = parseDeclarations(p)
+    p.expect('}')
+    const { name, dims } = parseVarName(p)
+    p.expect(';')
+    return { kind, name, dims, fields }
+  }
+
+  if (kind === 'grid') {
+    p.expect('{')
+    p.expect('ARRAY')
+    p.expect(':')
+    const array = parseDeclaration(p)
+    p.expect('MAPS')
+    p.expect(':')
+    const maps = parseDeclarations(p)
+    p.expect('}')
+    const { name } = parseVarName(p)
+    p.expect(';')
+    return { kind, name, array, maps }
+  }
+
+  if (!(kind in BASE_TYPES)) {
+    throw new DapError(`Unknown DDS type "${keyword}"`)
+  }
+  const { name, dims } = parseVarName(p)
+  p.expect(';')
+  return { kind: 'base', type: kind, name, dims }
+}
+
+/**
+ * Parse a DDS document into { name, variables } where each variable is
+ * { kind: 'base', type, name, dims: [{ name, size }] }, a Grid
+ * ({ kind: 'grid', array, maps }) or a Structure/Sequence with `fields`.
+ */
+export function parseDds (text) {
+  throwIfErrorDocument(text)
+  const p = new TokenStream(tokenize(text))
+  p.expect('Dataset')
+  p.expect('{')
+  const variables = parseDeclarations(p)
+  p.expect('}')
+  const name = p.peek() && p.peek() !== ';' ? p.next() : ''
+  return { name, variables }
+}
+
+// Flat list of array declarations (grid arrays and maps included)
+export function listDdsArrays (dds) {
+  const out = []
+  const visit = decl => {
+    if (decl.kind === 'base') {
+      out.push(decl)
+    } else if (decl.kind === 'grid') {
+      visit(decl.array)
+      for (const map of decl.maps) {
+        visit(map)
+      }
+    } else {
+      for (const field of decl.fields) {
+        visit(field)
+      }
+    }
+  }
+  for (const decl of dds.variables) {
+    visit(decl)
+  }
+  return out
+}
+
+// Size of a named dimension anywhere in the DDS, or null
+export function ddsDimensionSize (dds, dimName) {
+  for (const decl of listDdsArrays(dds)) {
+    const dim = decl.dims.find(d => d.name === dimName)
+    if (dim) {
+      return dim.size
+    }
+    if (decl.name === dimName && decl.dims.length === 1) {
+      return decl.dims[0].size
+    }
+  }
+  return null
+}
+
+/* -------------------- DAS -------------------- */
+function parseAttributeValue (type, token) {
+  if (token.startsWith('"')) {
+    return token.slice(1, -1).replaceAll(/\\(.)/g, '$1')
+  }
+  if (type === 'string' || type === 'url') {
+    return token
+  }
+  return Number(token)
+}
+
+function parseAttributeContainer (p) {
+  const out = {}
+  p.expect('{')
+  while (p.peek() && p.peek() !== '}') {
+    const first = p.next()
+    if (p.peek() === '{') {
+      // nested container, e.g. NC_GLOBAL { ... } or a variable
+      out[decodeURIComponent(first)] = parseAttributeContainer(p)
+      continue
+    }
+    const type = first.toLowerCase()
+    const name = decodeURIComponent(p.next())
+    const values = []
+    while (p.peek() !== ';') {
+      const token = p.next()
+      if (token !== ',') {
+        values.push(parseAttributeValue(type, token))
+      }
+    }
+    p.expect(';')
+    out[name] = values.length === 1 ? values[0] : values
+  }
+  p.expect('}')
+  return out
+}
+
+// Parse a DAS document into { varName: { attrName: value | value[] } }
+export function parseDas (text) {
+  throwIfErrorDocument(text)
+  const p = new TokenStream(tokenize(text))
+  p.expect('Attributes')
+  return parseAttributeContainer(p)
+}
+
+/* -------------------- DODS (XDR) -------------------- */
+class XdrReader {
+  constructor (buffer, offset) {
+    this.view = new DataView(buffer)
+    this.bytes = new Uint8Array(buffer)
+    this.offset = offset
+  }
+
+  uint32 () {
+    const v = this.view.getUint32(this.offset)
+    this.offset += 4
+    return v
+  }
+
+  string () {
+    const length = this.uint32()
+    const text = new TextDecoder().decode(this.bytes.subarray(this.offset, this.offset + length))
+    this.offset += Math.ceil(length / 4) * 4
+    return text
+  }
+
+  // n values of a numeric base type
+  values (type, n) {
+    const { array: ArrayType } = BASE_TYPES[type]
+    const out = new ArrayType(n)
+    const view = this.view
+    let o = this.offset
+    switch (type) {
+      case 'byte':
+      case 'int8': {
+        for (let i = 0; i < n; i++) {
+          out[i] = type === 'byte' ? view.getUint8(o + i) : view.getInt8(o + i)
+        }
+        o += Math.ceil(n / 4) * 4
+        break
+      }
+      case 'int16':
+      case 'int32': {
+        for (let i = 0; i < n; i++, o += 4) {
+          out[i] = view.getInt32(o)
+        }
+        break
+      }
+      case 'uint16':
+      case 'uint32': {
+        for (let i = 0; i < n; i++, o += 4) {
+          out[i] = view.getUint32(o)
+        }
+        break
+      }
+      case 'float32': {
+        for (let i = 0; i < n; i++, o += 4) {
+          out[i] = view.getFloat32(o)
+        }
+        break
+      }
+      case 'float64': {
+        for (let i = 0; i < n; i++, o += 8) {
+          out[i] = view.getFloat64(o)
+        }
+        break
+      }
+    }
+    this.offset = o
+    return out
+  }
+}
+
+function isStringType (type) {
+  return type === 'string' || type === 'url'
+}
+
+function decodeBase (reader, decl) {
+  const shape = decl.dims.map(d => d.size)
+  if (shape.length === 0) {
+    // scalars carry no length prefix
+    const data = isStringType(decl.type) ? [reader.string()] : reader.values(decl.type, 1)
+    return { name: decl.name, type: decl.type, dims: [], shape, data }
+  }
+
+  const n = reader.uint32()
+  let data
+  if (isStringType(decl.type)) {
+    data = Array.from({ length: n }, () => reader.string())
+  } else {
+    reader.uint32() // numeric arrays repeat the length
+    data = reader.values(decl.type, n)
+  }
+  return { name: decl.name, type: decl.type, dims: decl.dims.map(d => d.name), shape, data }
+}
+
+function decodeDeclaration (reader, decl, out, prefix) {
+  const path = prefix ? `${prefix}.${decl.name}` : decl.name
+  const store = variable => {
+    out[path] = variable
+    if (!(variable.name in out)) {
+      out[variable.name] = variable
+    }
+  }
+
+  switch (decl.kind) {
+    case 'base': {
+      store(decodeBase(reader, decl))
+      break
+    }
+    case 'grid': {
+      store({ ...decodeBase(reader, decl.array), name: decl.name })
+      for (const map of decl.maps) {
+        const variable = decodeBase(reader, map)
+        if (!(variable.name in out)) {
+          out[variable.name] = variable
+        }
+      }
+      break
+    }
+    case 'structure': {
+      for (const field of decl.fields) {
+        decodeDeclaration(reader, field, out, path)
+      }
+      break
+    }
+    case 'sequence': {
+      // rows are introduced by a start marker and closed by an end marker
+      const rows = []
+      let marker = reader.uint32()
+      for (; marker === SEQUENCE_START; marker = reader.uint32()) {
+        const row = {}
+        for (const field of decl.fields) {
+          decodeDeclaration(reader, field, row, '')
+        }
+        rows.push(row)
+      }
+      if (marker !== SEQUENCE_END) {
+        throw new DapError(`Corrupt sequence "${decl.name}" (marker 0x${marker.toString(16)})`)
+      }
+      out[path] = { name: decl.name, type: 'sequence', dims: [], shape: [rows.length], data: rows }
+      break
+    }
+  }
+}
+
+function findDataMarker (bytes) {
+  // "\nData:\n" separates the constrained DDS from the XDR payload
+  const marker = [0x0A, 0x44, 0x61, 0x74, 0x61, 0x3A, 0x0A]
+  outer: for (let i = 0; i <= bytes.length - marker.length; i++) {
+    for (const [j, b] of marker.entries()) {
+      if (bytes[i + j] !== b) {
+        continue outer
+      }
+    }
+    return i
+  }
+  return -1
+}
+
+/**
+ * Decode a .dods response body. Returns { dds, variables } with variables
+ * keyed by name (and dotted path for structure members); numeric data are
+ * typed arrays in row-major order, strings are plain arrays.
+ */
+export function decodeDods (buffer) {
+  const bytes = new Uint8Array(buffer)
+  const split = findDataMarker(bytes)
+  if (split === -1) {
+    const text = new TextDecoder().decode(bytes.subarray(0, 2000))
+    throwIfErrorDocument(text)
+    throw new DapError('Not a DAP2 binary response (no "Data:" marker)')
+  }
+
+  const dds = parseDds(new TextDecoder().decode(bytes.subarray(0, split)))
+  const reader = new XdrReader(buffer, split + 7)
+  const variables = {}
+  for (const decl of dds.variables) {
+    decodeDeclaration(reader, decl, variables, '')
+  }
+  return { dds, variables }
+}
+
+/* -------------------- Attributes -------------------- */
+function asList (v) {
+  if (v == null) {
+    return []
+  }
+  return Array.isArray(v) ? v : [v]
+}
+
+/**
+ * Apply CF packing attributes: values equal to _FillValue / missing_value or
+ * outside valid_min/valid_max become NaN, then scale_factor and add_offset
+ * are applied. Returns a Float64Array.
+ */
+export function unpackValues (data, type, attributes = {}) {
+  // Float32 data must be compared against the float32-rounded attribute value
+  const round = type === 'float32' ? Math.fround : v => v
+  const missing = new Set([...asList(attributes._FillValue), ...asList(attributes.missing_value)].map(v => round(Number(v))))
+  const range = asList(attributes.valid_range)
+  const validMin = attributes.valid_min ?? range[0]
+  const validMax = attributes.valid_max ?? range[1]
+  const scale = attributes.scale_factor ?? 1
+  const offset = attributes.add_offset ?? 0
+
+  const out = new Float64Array(data.length)
+  for (const [i, v] of data.entries()) {
+    out[i] = Number.isNaN(v) || missing.has(v) || (validMin != null && v < validMin) || (validMax != null && v > validMax)
+      ? Number.NaN
+      : v * scale + offset
+  }
+  return out
+}
+
+const TIME_UNITS_MS = {
+  millisecond: 1,
+  milliseconds: 1,
+  second: 1000,
+  seconds: 1000,
+  minute: 60_000,
+  minutes: 60_000,
+  hour: 3_600_000,
+  hours: 3_600_000,
+  day: 86_400_000,
+  days: 86_400_000,
+}
+
+/**
+ * CF time ("days since 1970-01-01 00:00:00 +00:00") to epoch milliseconds.
+ * Returns null when the units string is not understood.
+ */
+export function decodeCfTime (values, units) {
+  const m = String(units ?? '').trim().match(/^(\w+)\s+since\s+(\d{1,4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{1,2})(?::(\d{1,2}(?:\.\d+)?))?)?\s*(Z|UTC|[+-]\d{1,2}(?::?\d{2})?)?/i)
+  const factor = m && TIME_UNITS_MS[m[1].toLowerCase()]
+  if (!factor) {
+    return null
+  }
+  const [y, mo, d, h = 0, mi = 0, s = 0, tz] = m.slice(2)
+  let origin = Date.UTC(Number(y), Number(mo) - 1, Number(d), Number(h), Number(mi), 0) + Number(s) * 1000
+  if (tz && /^[+-]/.test(tz)) {
+    const [, sign, th, tm = '0'] = tz.match(/^([+-])(\d{1,2}):?(\d{2})?$/) || []
+    if (sign) {
+      origin -= (sign === '-' ? -1 : 1) * (Number(th) * 60 + Number(tm)) * 60_000
+    }
+  }
+  return Array.from(values, v => (Number.isFinite(v) ? origin + v * factor : null))
+}
+
+/* -------------------- Client -------------------- */
+/** @type {Map<string, Promise<object>>} */
+const dasCache = new Map()
+
+// DAS of a dataset (fetched once per page load)
+export function fetchDas (ncBaseUrl) {
+  let inflight = dasCache.get(ncBaseUrl)
+  if (!inflight) {
+    inflight = request(`${ncBaseUrl}.das`)
+      .then(async res => {
+        if (!res.ok) {
+          throw new DapError(`Failed to fetch DAS (${res.status})`)
+        }
+        return parseDas(await res.text())
+      })
+    inflight.catch(() => dasCache.delete(ncBaseUrl))
+    dasCache.set(ncBaseUrl, inflight)
+  }
+  return inflight
+}
+
+/**
+ * Fetch `${ncBaseUrl}.dods?${constraint}` and its DAS. Resolves to
+ * { variables, response }; every variable gets `attributes` and, for numeric
+ * data, `values`: the unpacked Float64Array with NaN for missing data.
+ * `variables` is null when conditional `headers` got a 304 Not Modified.
+ * `meter` is passed on to request().
+ */
+export async function fetchDap2 (ncBaseUrl, constraint, { signal, headers, meter } = {}) {
+  const [res, das] = await Promise.all([
+    request(`${ncBaseUrl}.dods?${constraint}`, { signal, headers, meter }),
+    // Without the DAS fill values could not be masked, so it is required
+    fetchDas(ncBaseUrl),
+  ])
+  if (res.status === 304) {
+    return { variables: null, response: res }
+  }
+  if (!res.ok) {
+    throw new DapError(`Failed to fetch DAP2 data (${res.status})`)
+  }
+  const { variables } = decodeDods(await res.arrayBuffer())
+  for (const variable of Object.values(variables)) {
+    variable.attributes = das[variable.name] || {}
+    if (variable.data && !Array.isArray(variable.data)) {
+      variable.values = unpackValues(variable.data, variable.type, variable.attributes)
+    }
+  }
+  return { variables, response: res }
+}
@@ -0,0 +1,60 @@
+/**
+ * utils/difference.js
+ *
+ * Elevation change between two surveys of one transect, on the
+ * cross-shore stretch both surveys cover, with the eroded and accreted
+ * volumes per metre alongshore.
+ */
+
+import { interpolateAt, profilePoints } from '@/utils/volume'
+
+// Signed area of one straight segment of dz, split at the zero crossing
+function segmentVolumes (x0, d0, x1, d1) {
+  const dx = x1 - x0
+  if (d0 * d1 >= 0) {
+    const area = 0.5 * (d0 + d1) * dx
+    return area >= 0 ? [area, 0] : [0, area]
+  }
+  const t = d0 / (d0 - d1)
+  const first = 0.5 * d0 * t * dx
+  const second = 0.5 * d1 * (1 - t) * dx
+  return d0 > 0 ? [first, second] : [second, first]
+}
+
+/**
+ * Difference `altitudeB - altitudeA` on a shared grid: the cross-shore
+ * positions inside the overlap of both measured extents, each survey
+ * interpolated linearly onto them. Returns { points: [{ x, za, zb, dz }],
+ * xMin, xMax, accretion, erosion, net } (volumes in m³/m, erosion
+ * negative), or null when the surveys do not overlap.
+ */
+export function profileDifference (crossShore, altitudeA, altitudeB) {
+  const a = profilePoints(crossShore, altitudeA)
+  const b = profilePoints(crossShore, altitudeB)
+  if (a.length < 2 || b.length < 2) {
+    return null
+  }
+
+  const xMin = Math.max(a[0][0], b[0][0])
+  const xMax = Math.min(a.at(-1)[0], b.at(-1)[0])
+  if (xMax <= xMin) {
+    return null
+  }
+
+  const grid = [...new Set([xMin, ...(crossShore || []).filter(x => x > xMin && x < xMax), xMax])].sort((p, q) => p - q)
+  const points = grid.map(x => {
+    const za = interpolateAt(a, x)
+    const zb = interpolateAt(b, x)
+    return { x, za, zb, dz: zb - za }
+  })
+
+  let accretion = 0
+  let erosion = 0
+  for (let i = 1; i < points.length; i++) {
+    const [gain, loss] = segmentVolumes(points[i - 1].x, points[i - 1].dz, points[i].x, points[i].dz)
+    accretion += gain
+    erosion += loss
+  }
+
+  return { points, xMin, xMax, accretion, erosion, net: accretion + erosion }
+}
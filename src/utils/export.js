@@ -0,0 +1,328 @@
+/**
+ * utils/export.js
+ *
+ * Turn plotted chart data into downloadable CSV or CF-JSON files.
+ *
+ * Datasets use the CF-JSON layout (global `attributes`, named `dimensions`,
+ * `variables` with shape/type/attributes/data) so they map one-to-one onto
+ * a NetCDF file. Missing values are written as null.
+ */
+
+const CONVENTIONS = 'CF-1.8'
+
+function baseAttributes (title, sources) {
+  return {
+    title,
+    Conventions: CONVENTIONS,
+    institution: 'Rijkswaterstaat / Deltares (JARKUS)',
+    source: sources.filter(Boolean).join(' '),
+    history: `${new Date().toISOString()} exported from Coastviewer Graphs`,
+  }
+}
+
+// Global attributes describing the transect the data belongs to
+export function transectAttributes (meta, title, sources) {
+  const attributes = {
+    ...baseAttributes(title, sources),
+    transect_id: meta.id,
+  }
+  const optional = {
+    areacode: meta.areacode,
+    areaname: meta.areaname,
+    alongshore: meta.alongshore,
+    rsp_lat: meta.rspLat,
+    rsp_lon: meta.rspLon,
+    rsp_x: meta.rspX,
+    rsp_y: meta.rspY,
+    mean_low_water: meta.meanLowWater,
+    mean_high_water: meta.meanHighWater,
+  }
+  for (const [key, value] of Object.entries(optional)) {
+    if (value != null && value !== '') {
+      attributes[key] = value
+    }
+  }
+  return attributes
+}
+
+// Global attributes for data covering every transect of one area
+export function areaAttributes ({ areacode, areaname }, title, sources) {
+  const attributes = { ...baseAttributes(title, sources), areacode }
+  if (areaname) {
+    attributes.areaname = areaname
+  }
+  return attributes
+}
+
+// Global attributes for a list of transects, with the filter that selected them
+export function catalogAttributes (title, sources, filter) {
+  const attributes = baseAttributes(title, sources)
+  if (filter) {
+    attributes.filter = filter
+  }
+  return attributes
+}
+
+function yearVariable (years) {
+  return {
+    shape: ['time'],
+    type: 'int',
+    attributes: { long_name: 'survey year', units: '1' },
+    data: years.map(y => Number.parseInt(y, 10)),
+  }
+}
+
+const DAY_MS = 86_400_000
+
+// Survey dates (epoch ms) as CF time, and as ISO dates for reading the CSV
+function timeVariables (times) {
+  return {
+    time: {
+      shape: ['time'],
+      type: 'double',
+      attributes: { standard_name: 'time', long_name: 'survey date', units: 'days since 1970-01-01 00:00:00', calendar: 'standard' },
+      data: times.map(t => (t == null ? null : t / DAY_MS)),
+    },
+    date: {
+      shape: ['time'],
+      type: 'string',
+      attributes: { long_name: 'survey date (ISO 8601)' },
+      data: times.map(t => (t == null ? null : new Date(t).toISOString().slice(0, 10))),
+    },
+  }
+}
+
+/**
+ * Altitude profiles: altitude[time][cross_shore] plus both coordinates.
+ * Only cross-shore positions inside [xMin, xMax] are kept.
+ */
+export function profileDataset ({ attributes, years, crossShore, altitudeByYear, xMin, xMax }) {
+  const keep = []
+  for (const [i, x] of crossShore.entries()) {
+    if ((xMin == null || x >= xMin) && (xMax == null || x <= xMax)) {
+      keep.push(i)
+    }
+  }
+
+  return {
+    attributes,
+    dimensions: { time: years.length, cross_shore: keep.length },
+    variables: {
+      year: yearVariable(years),
+      cross_shore: {
+        shape: ['cross_shore'],
+        type: 'float',
+        attributes: { long_name: 'cross-shore distance from RSP', units: 'm', positive: 'seaward' },
+        data: keep.map(i => crossShore[i]),
+      },
+      altitude: {
+        shape: ['time', 'cross_shore'],
+        type: 'float',
+        attributes: { long_name: 'altitude', standard_name: 'surface_altitude', units: 'm', vertical_datum: 'NAP' },
+        data: years.map((_, t) => keep.map(i => altitudeByYear[t]?.[i] ?? null)),
+      },
+    },
+  }
+}
+
+/**
+ * One value per time step for each variable, e.g. BKL/TKL/MKL.
+ * `variables` is a list of { name, longName, units, data }. With `times`
+ * (epoch ms, parallel to `years`) the dates are written as a CF `time`
+ * variable too, for series with several time steps in a year (MHW/MLW).
+ */
+export function yearSeriesDataset ({ attributes, years, times = null, variables }) {
+  const out = { year: yearVariable(years), ...(times ? timeVariables(times) : {}) }
+  for (const v of variables) {
+    out[v.name] = {
+      shape: ['time'],
+      type: 'float',
+      attributes: { long_name: v.longName, units: v.units },
+      data: years.map((_, i) => v.data[i] ?? null),
+    }
+  }
+  return {
+    attributes,
+    dimensions: { time: years.length },
+    variables: out,
+  }
+}
+
+/**
+ * Values along the cross-shore axis, e.g. the change between two surveys.
+ * `variables` is a list of { name, longName, units, data }.
+ */
+export function crossShoreDataset ({ attributes, crossShore, variables }) {
+  const out = {
+    cross_shore: {
+      shape: ['cross_shore'],
+      type: 'float',
+      attributes: { long_name: 'cross-shore distance from RSP', units: 'm', positive: 'seaward' },
+      data: crossShore,
+    },
+  }
+  for (const v of variables) {
+    out[v.name] = {
+      shape: ['cross_shore'],
+      type: 'float',
+      attributes: { long_name: v.longName, units: v.units },
+      data: crossShore.map((_, i) => v.data[i] ?? null),
+    }
+  }
+  return {
+    attributes,
+    dimensions: { cross_shore: crossShore.length },
+    variables: out,
+  }
+}
+
+/**
+ * Values per transect along an area, on the alongshore axis. Without
+ * `years` each variable's data is one value per transect; with `years`
+ * it is [time][alongshore]. `variables` is a list of { name, longName,
+ * units, data }.
+ */
+export function alongshoreDataset ({ attributes, ids, alongshore, years = null, variables }) {
+  const shape = years ? ['time', 'alongshore'] : ['alongshore']
+  const out = {
+    alongshore: {
+      shape: ['alongshore'],
+      type: 'float',
+      attributes: { long_name: 'alongshore distance', units: 'm' },
+      data: alongshore,
+    },
+    id: {
+      shape: ['alongshore'],
+      type: 'int',
+      attributes: { long_name: 'transect id', units: '1' },
+      data: ids,
+    },
+  }
+  if (years) {
+    out.year = yearVariable(years)
+  }
+  for (const v of variables) {
+    out[v.name] = {
+      shape,
+      type: 'float',
+      attributes: { long_name: v.longName, units: v.units },
+      data: years
+        ? years.map((_, t) => alongshore.map((_, k) => v.data[t]?.[k] ?? null))
+        : alongshore.map((_, k) => v.data[k] ?? null),
+    }
+  }
+  return {
+    attributes,
+    dimensions: years ? { time: years.length, alongshore: alongshore.length } : { alongshore: alongshore.length },
+    variables: out,
+  }
+}
+
+// Catalog columns of the transect dimension, in export order
+const CATALOG_VARIABLES = [
+  { key: 'id', type: 'int', longName: 'transect id', units: '1' },
+  { key: 'areacode', type: 'int', longName: 'area code', units: '1' },
+  { key: 'areaname', type: 'string', longName: 'area name' },
+  { key: 'alongshore', type: 'float', longName: 'alongshore distance', units: 'm' },
+  { key: 'rspX', name: 'rsp_x', type: 'float', longName: 'RSP x (RD)', units: 'm' },
+  { key: 'rspY', name: 'rsp_y', type: 'float', longName: 'RSP y (RD)', units: 'm' },
+  { key: 'rspLat', name: 'rsp_lat', type: 'float', longName: 'RSP latitude', units: 'degrees_north' },
+  { key: 'rspLon', name: 'rsp_lon', type: 'float', longName: 'RSP longitude', units: 'degrees_east' },
+  { key: 'meanLowWater', name: 'mean_low_water', type: 'float', longName: 'mean low water level', units: 'm' },
+  { key: 'meanHighWater', name: 'mean_high_water', type: 'float', longName: 'mean high water level', units: 'm' },
+]
+
+/**
+ * Transect catalog rows (utils/catalog.js) along one `transect`
+ * dimension: id, area, alongshore, RSP coordinates and water levels.
+ */
+export function catalogDataset ({ attributes, rows }) {
+  const variables = {}
+  for (const { key, name = key, type, longName, units } of CATALOG_VARIABLES) {
+    variables[name] = {
+      shape: ['transect'],
+      type,
+      attributes: units ? { long_name: longName, units } : { long_name: longName },
+      data: rows.map(row => row[key] ?? null),
+    }
+  }
+  return {
+    attributes,
+    dimensions: { transect: rows.length },
+    variables,
+  }
+}
+
+export function toCfJson (dataset) {
+  return JSON.stringify(dataset, null, 2)
+}
+
+function csvCell (value) {
+  if (value == null || (typeof value === 'number' && !Number.isFinite(value))) {
+    return ''
+  }
+  const text = String(value)
+  return /[",\n]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text
+}
+
+function columnHeader (name, variable) {
+  const units = variable.attributes?.units
+  return units && units !== '1' ? `${name} (${units})` : name
+}
+
+/**
+ * CSV with the global attributes as leading "# key: value" comment lines.
+ * 1-D datasets become one column per variable; a 2-D [time][x] variable
+ * becomes one row per x with one column per year.
+ */
+export function toCsv (dataset) {
+  const lines = Object.entries(dataset.attributes || {})
+    .map(([key, value]) => `# ${key}: ${String(value).replaceAll('\n', ' ')}`)
+
+  const entries = Object.entries(dataset.variables)
+  const grid = entries.find(([, v]) => v.shape.length === 2)
+
+  if (grid) {
+    const [name, variable] = grid
+    const [rowDim, colDim] = [variable.shape[1], variable.shape[0]]
+    const rowCoord = dataset.variables[rowDim]
+    const colCoord = entries.find(([, v]) => v.shape.length === 1 && v.shape[0] === colDim)?.[1]
+    lines.push(`# ${name}: ${variable.attributes?.long_name || name} (${variable.attributes?.units || ''}) per ${colDim}`,
+      [columnHeader(rowDim, rowCoord), ...colCoord.data].map(v => csvCell(v)).join(','))
+    for (const [r, x] of rowCoord.data.entries()) {
+      lines.push([x, ...variable.data.map(row => row[r])].map(v => csvCell(v)).join(','))
+    }
+  } else {
+    lines.push(entries.map(([name, v]) => csvCell(columnHeader(name, v))).join(','))
+    const n = Math.max(...entries.map(([, v]) => v.data.length))
+    for (let i = 0; i < n; i++) {
+      lines.push(entries.map(([, v]) => csvCell(v.data[i])).join(','))
+    }
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+export function downloadText (filename, text, type) {
+  downloadBlob(filename, new Blob([text], { type }))
+}
+
+export function downloadBlob (filename, blob) {
+  const href = URL.createObjectURL(blob)
+  const a = document.createElement('a')
+  a.href = href
+  a.download = filename
+  document.body.append(a)
+  a.click()
+  a.remove()
+  setTimeout(() => URL.revokeObjectURL(href), 0)
+}
+
+// Download a dataset in the requested format ('csv' or 'json')
+export function downloadDataset (dataset, basename, format) {
+  if (format === 'csv') {
+    downloadText(`${basename}.csv`, toCsv(dataset), 'text/csv;charset=utf-8')
+  } else {
+    downloadText(`${basename}.json`, toCfJson(dataset), 'application/json')
+  }
+}
@@ -0,0 +1,220 @@
+/**
+ * utils/figure.js
+ *
+ * Print-ready report figure for one transect: a metadata header and the
+ * profile and year-series charts stacked on an A4 page. Charts are
+ * rendered with ECharts' SVG renderer, so the page is a single SVG that
+ * can be saved as is or rasterised at any scale (PNG, PDF pages).
+ */
+
+import * as echarts from 'echarts'
+import { createJetColormap } from '@/utils/chart'
+
+// A4 portrait at 96 dpi, in CSS pixels
+export const REPORT_PAGE = { width: 794, height: 1123, margin: 40 }
+
+const HEADER_HEIGHT = 128
+const FOOTER_HEIGHT = 24
+// Share of the chart area per chart: profile first, then year series
+const CHART_WEIGHTS = [1.4, 1, 1]
+
+// Above this many surveys the profile legend takes more room than the chart
+const MAX_LEGEND_YEARS = 24
+
+const FONT = 'Roboto, Helvetica, Arial, sans-serif'
+
+function escapeXml (text) {
+  return String(text ?? '').replaceAll(/[<>&'"]/g, c => `&#${c.codePointAt(0)};`)
+}
+
+function formatNumber (v, digits) {
+  return v == null || !Number.isFinite(Number(v)) ? '–' : Number(v).toFixed(digits)
+}
+
+/**
+ * Profile chart option from { title, years, crossShore, altitudeByYear }.
+ * The x axis spans the positions that have data in any survey.
+ */
+export function profileFigureOption ({ title, years, crossShore, altitudeByYear }) {
+  const xs = crossShore || []
+  const used = xs.filter((_, i) => altitudeByYear.some(row => row?.[i] != null && Number.isFinite(row[i])))
+  const xMin = used.length > 0 ? Math.min(...used) : null
+  const xMax = used.length > 0 ? Math.max(...used) : null
+  // The RSP line sits at the position closest to 0
+  const rspX = xs.length > 0 ? xs.reduce((best, x) => (Math.abs(x) < Math.abs(best) ? x : best)) : null
+
+  const showLegend = years.length <= MAX_LEGEND_YEARS
+  const series = years.map((label, t) => ({
+    name: label,
+    type: 'line',
+    showSymbol: false,
+    connectNulls: true,
+    lineStyle: { width: 1 },
+    data: xs.map((x, i) => [x, altitudeByYear[t]?.[i] ?? null]),
+  }))
+  if (series.length > 0 && rspX != null) {
+    series[0].markLine = {
+      symbol: 'none',
+      lineStyle: { color: '#000', width: 1, type: 'dashed' },
+      label: { formatter: '{b}', position: 'insideEndTop' },
+      data: [{ name: 'RSP Lijn', xAxis: rspX }],
+    }
+  }
+
+  return {
+    animation: false,
+    color: createJetColormap(series.length),
+    textStyle: { fontFamily: FONT },
+    title: { text: title, left: 'center', top: 0, textStyle: { fontSize: 14, fontWeight: '600' } },
+    legend: showLegend ? { top: 22, itemWidth: 14, itemHeight: 8, textStyle: { fontSize: 9 } } : undefined,
+    grid: { top: showLegend ? 64 : 32, right: 16, bottom: 36, left: 16, containLabel: true },
+    xAxis: {
+      type: 'value',
+      name: 'Cross-shore (m)',
+      nameLocation: 'middle',
+      nameGap: 24,
+      min: xMin,
+      max: xMax,
+      axisLine: { onZero: false },
+    },
+    yAxis: { type: 'value', name: 'Elevation (m)', nameLocation: 'middle', nameGap: 36 },
+    series,
+  }
+}
+
+/**
+ * Year-series chart option from a title and a plot as returned by
+ * yearSeriesPlot, with each column carrying its registry `variable`.
+ */
+export function yearFigureOption ({ title, plot }) {
+  return {
+    animation: false,
+    textStyle: { fontFamily: FONT },
+    title: { text: title, left: 'center', top: 0, textStyle: { fontSize: 14, fontWeight: '600' } },
+    legend: { top: 22, textStyle: { fontSize: 10 } },
+    grid: { top: 52, right: 16, bottom: 36, left: 16, containLabel: true },
+    xAxis: {
+      type: 'category',
+      name: 'Year',
+      nameLocation: 'middle',
+      nameGap: 36,
+      data: plot?.years || [],
+      axisLabel: { rotate: 45, fontSize: 9 },
+    },
+    yAxis: { type: 'value', name: 'Cross-shore distance (m)', nameLocation: 'middle', nameGap: 44 },
+    series: (plot?.columns || []).map(({ variable, values }) => ({
+      name: variable.series.name,
+      type: 'line',
+      data: values,
+      symbol: variable.series.symbol || 'circle',
+      symbolSize: 4,
+      lineStyle: { width: 0 },
+      itemStyle: { color: variable.series.color },
+    })),
+  }
+}
+
+// SVG markup of one chart, rendered off-screen
+export function renderChartSvg (option, width, height) {
+  const chart = echarts.init(null, null, { renderer: 'svg', ssr: true, width, height })
+  try {
+    chart.setOption({ ...option, animation: false })
+    return chart.renderToSVGString()
+  } finally {
+    chart.dispose()
+  }
+}
+
+// Header lines from the transect metadata (see Home exportMeta)
+function headerLines (meta) {
+  const area = [meta.areacode, meta.areaname].filter(v => v != null && v !== '').join(' – ')
+  return [
+    [`Transect ${meta.id ?? ''}`, area ? `Area ${area}` : ''],
+    [`RSP lat/lon: ${formatNumber(meta.rspLat, 5)}, ${formatNumber(meta.rspLon, 5)}`, `RSP x/y (RD): ${formatNumber(meta.rspX, 1)}, ${formatNumber(meta.rspY, 1)} m`],
+    [`MLW: ${formatNumber(meta.meanLowWater, 2)} m NAP`, `MHW: ${formatNumber(meta.meanHighWater, 2)} m NAP`],
+    [`Alongshore: ${formatNumber(meta.alongshore, 0)} m`, meta.years ? `Surveys: ${meta.years}` : ''],
+  ]
+}
+
+// Nest a standalone chart SVG at (x, y) of the page
+function placeSvg (svg, x, y) {
+  return svg.replace(/^<svg/, `<svg x="${x}" y="${y}"`)
+}
+
+/**
+ * Report page as SVG markup. `meta` is the transect metadata, `charts` a
+ * list of ECharts options (profile first) and `footer` a line of source
+ * text at the bottom.
+ */
+export function reportPageSvg ({ meta, charts, footer = '' }) {
+  const { width, height, margin } = REPORT_PAGE
+  const inner = width - 2 * margin
+  const parts = []
+
+  // Header: title line plus two columns of metadata
+  const [titleLine, ...rows] = headerLines(meta)
+  parts.push(
+    `<text x="${margin}" y="${margin + 18}" font-size="20" font-weight="600">${escapeXml(titleLine[0])}</text>`,
+    `<text x="${width - margin}" y="${margin + 18}" font-size="14" text-anchor="end">${escapeXml(titleLine[1])}</text>`,
+  )
+  for (const [i, [left, right]] of rows.entries()) {
+    const y = margin + 46 + i * 20
+    parts.push(
+      `<text x="${margin}" y="${y}" font-size="12">${escapeXml(left)}</text>`,
+      `<text x="${margin + inner / 2}" y="${y}" font-size="12">${escapeXml(right)}</text>`,
+    )
+  }
+  const headerBottom = margin + HEADER_HEIGHT
+  parts.push(`<line x1="${margin}" y1="${headerBottom - 12}" x2="${width - margin}" y2="${headerBottom - 12}" stroke="#999" stroke-width="0.75"/>`)
+
+  // Charts share the space between header and footer by weight
+  const available = height - headerBottom - margin - FOOTER_HEIGHT
+  const weights = charts.map((_, i) => CHART_WEIGHTS[i] ?? 1)
+  const total = weights.reduce((a, b) => a + b, 0)
+  let y = headerBottom
+  for (const [i, option] of charts.entries()) {
+    const h = Math.floor(available * weights[i] / total)
+    parts.push(placeSvg(renderChartSvg(option, inner, h), margin, y))
+    y += h
+  }
+
+  if (footer) {
+    parts.push(`<text x="${margin}" y="${height - margin + 4}" font-size="9" fill="#666">${escapeXml(footer)}</text>`)
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT}">`,
+    `<rect width="${width}" height="${height}" fill="#fff"/>`,
+    ...parts,
+    '</svg>',
+  ].join('\n')
+}
+
+/**
+ * Rasterise SVG markup onto a canvas `scale` times its own size, e.g. 3
+ * for a 288 dpi A4 page.
+ */
+export async function svgToCanvas (svg, scale = 1) {
+  const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }))
+  try {
+    const image = new Image()
+    image.src = url
+    await image.decode()
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.round(image.naturalWidth * scale)
+    canvas.height = Math.round(image.naturalHeight * scale)
+    const ctx = canvas.getContext('2d')
+    ctx.fillStyle = '#fff'
+    ctx.fillRect(0, 0, canvas.width, canvas.height)
+    ctx.drawImage(image, 0, 0, canvas.width, canvas.height)
+    return canvas
+  } finally {
+    URL.revokeObjectURL(url)
+  }
+}
+
+export function canvasToBlob (canvas, type, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error(`Could not encode ${type}`))), type, quality)
+  })
+}
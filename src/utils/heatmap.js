@@ -0,0 +1,117 @@
+/**
+ * utils/heatmap.js
+ *
+ * Space-time view of a transect: altitude per (cross-shore, year) cell,
+ * colour scales for it, and where each profile crosses a given level
+ * (MLW, MHW, dune foot) to draw as contours on top.
+ */
+
+import { profilePoints } from '@/utils/volume'
+
+// Colour ramps from low to high elevation
+export const HEATMAP_COLOR_SCALES = {
+  terrain: {
+    label: 'Terrain',
+    colors: ['#08306B', '#2171B5', '#6BAED6', '#C6DBEF', '#F6E8C3', '#DFC27D', '#A6D96A', '#1A9641', '#8C510A'],
+  },
+  viridis: {
+    label: 'Viridis',
+    colors: ['#440154', '#482878', '#3E4A89', '#31688E', '#26828E', '#1F9E89', '#35B779', '#6DCD59', '#B4DE2C', '#FDE725'],
+  },
+  jet: {
+    label: 'Jet',
+    colors: ['#00007F', '#0000FF', '#007FFF', '#00FFFF', '#7FFF7F', '#FFFF00', '#FF7F00', '#FF0000', '#7F0000'],
+  },
+  balance: {
+    label: 'Sea/land (diverging at 0 m NAP)',
+    colors: ['#053061', '#2166AC', '#4393C3', '#92C5DE', '#F7F7F7', '#F4A582', '#D6604D', '#B2182B', '#67001F'],
+    // Range is made symmetric so 0 m NAP sits in the middle
+    centered: true,
+  },
+}
+
+/**
+ * Heatmap cells [xIndex, yearIndex, altitude] for the cross-shore
+ * positions in [xMin, xMax]. Returns { xs, cells, min, max }; empty cells
+ * are left out.
+ */
+export function heatmapCells (years, crossShore, altitudeByYear, { xMin = null, xMax = null } = {}) {
+  const keep = []
+  for (const [i, x] of (crossShore || []).entries()) {
+    if ((xMin == null || x >= xMin) && (xMax == null || x <= xMax)) {
+      keep.push(i)
+    }
+  }
+
+  const cells = []
+  let min = Infinity
+  let max = -Infinity
+  for (const t of (years || []).keys()) {
+    const row = altitudeByYear?.[t] || []
+    for (const [k, i] of keep.entries()) {
+      const z = row[i]
+      if (z != null && Number.isFinite(z)) {
+        cells.push([k, t, z])
+        min = Math.min(min, z)
+        max = Math.max(max, z)
+      }
+    }
+  }
+
+  return {
+    xs: keep.map(i => crossShore[i]),
+    cells,
+    min: Number.isFinite(min) ? min : null,
+    max: Number.isFinite(max) ? max : null,
+  }
+}
+
+// Cross-shore positions where one profile crosses `level`, seaward order
+export function levelCrossings (crossShore, altitude, level) {
+  const points = profilePoints(crossShore, altitude)
+  const out = []
+  for (let i = 1; i < points.length; i++) {
+    const [x0, z0] = points[i - 1]
+    const [x1, z1] = points[i]
+    if (z1 === level) {
+      out.push(x1)
+    } else if ((z0 - level) * (z1 - level) < 0) {
+      out.push(x0 + (level - z0) * (x1 - x0) / (z1 - z0))
+    }
+  }
+  return out
+}
+
+// Index of the value closest to x in an ascending array
+function nearestIndex (sorted, x) {
+  let lo = 0
+  let hi = sorted.length - 1
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1
+    if (sorted[mid] <= x) {
+      lo = mid
+    } else {
+      hi = mid
+    }
+  }
+  return Math.abs(sorted[hi] - x) < Math.abs(sorted[lo] - x) ? hi : lo
+}
+
+/**
+ * Contour of one level as heatmap cells [xIndex, yearIndex]: every
+ * crossing of every year, snapped to the nearest column in `xs`.
+ */
+export function contourCells (years, crossShore, altitudeByYear, xs, level) {
+  if (level == null || !Number.isFinite(level) || xs.length === 0) {
+    return []
+  }
+  const cells = []
+  for (const t of (years || []).keys()) {
+    for (const x of levelCrossings(crossShore, altitudeByYear?.[t], level)) {
+      if (x >= xs[0] && x <= xs.at(-1)) {
+        cells.push([nearestIndex(xs, x), t])
+      }
+    }
+  }
+  return cells
+}
@@ -0,0 +1,113 @@
+/**
+ * utils/indicators.js
+ *
+ * Indicators derived from a measured profile: dune crest, dune foot at a
+ * chosen elevation, the MHW and MLW water line crossings, beach width
+ * (dune foot to MLW) and beach slope (between MLW and MHW). Cross-shore
+ * positions increase seaward, as in JARKUS.
+ */
+
+import { profilePoints } from '@/utils/volume'
+
+// Official dune foot definition of the DF dataset
+export const DEFAULT_DUNE_FOOT_LEVEL = 3
+
+// Highest measured point as [x, z], or null for an empty profile
+function crestPoint (points) {
+  let best = null
+  for (const point of points) {
+    if (!best || point[1] > best[1]) {
+      best = point
+    }
+  }
+  return best
+}
+
+/**
+ * Cross-shore position where the profile first drops below `level` going
+ * seaward from `fromX`, interpolated linearly; null when it never does
+ * inside the measured range.
+ */
+export function seawardCrossing (points, level, fromX) {
+  if (!Number.isFinite(level)) {
+    return null
+  }
+  for (let i = 1; i < points.length; i++) {
+    const [x0, z0] = points[i - 1]
+    const [x1, z1] = points[i]
+    if (x1 <= fromX || z0 < level || z1 >= level) {
+      continue
+    }
+    const x = x0 + (z0 - level) / (z0 - z1) * (x1 - x0)
+    if (x >= fromX) {
+      return x
+    }
+  }
+  return null
+}
+
+/**
+ * Indicators of one profile. The dune foot is searched seaward of the
+ * crest and the water lines seaward of the dune foot, so dune valleys
+ * and breaker bar troughs are not mistaken for them. Returns { duneCrest,
+ * duneCrestX, duneFoot, mhwCross, mlwCross, beachWidth, beachSlope };
+ * each is null when the profile does not cover it.
+ */
+export function profileIndicators (crossShore, altitude, { duneFootLevel = DEFAULT_DUNE_FOOT_LEVEL, meanHighWater = null, meanLowWater = null } = {}) {
+  const points = profilePoints(crossShore, altitude)
+  const crest = crestPoint(points)
+  const out = { duneCrest: null, duneCrestX: null, duneFoot: null, mhwCross: null, mlwCross: null, beachWidth: null, beachSlope: null }
+  if (!crest) {
+    return out
+  }
+  out.duneCrestX = crest[0]
+  out.duneCrest = crest[1]
+  out.duneFoot = crest[1] > duneFootLevel ? seawardCrossing(points, duneFootLevel, crest[0]) : null
+
+  const beachStart = out.duneFoot ?? crest[0]
+  out.mhwCross = seawardCrossing(points, meanHighWater, beachStart)
+  out.mlwCross = seawardCrossing(points, meanLowWater, out.mhwCross ?? beachStart)
+  if (out.duneFoot != null && out.mlwCross != null) {
+    out.beachWidth = out.mlwCross - out.duneFoot
+  }
+  if (out.mhwCross != null && out.mlwCross != null && out.mlwCross > out.mhwCross) {
+    out.beachSlope = (meanHighWater - meanLowWater) / (out.mlwCross - out.mhwCross)
+  }
+  return out
+}
+
+// profileIndicators for every survey, as rows of { year, ...indicators }
+export function indicatorSeries (years, crossShore, altitudeByYear, levels) {
+  return (years || []).map((year, t) => ({ year, ...profileIndicators(crossShore, altitudeByYear?.[t], levels) }))
+}
+
+/**
+ * Computed dune foot against the official series for the years both
+ * have: { years, count, meanDifference, rmsDifference } with differences
+ * computed minus official (m, positive is seaward), or null without
+ * common years.
+ */
+export function compareDuneFoot (rows, officialYears, officialValues) {
+  const official = new Map()
+  for (const [i, label] of (officialYears || []).entries()) {
+    const v = officialValues?.[i]
+    if (v != null && Number.isFinite(v)) {
+      official.set(label, v)
+    }
+  }
+
+  const years = []
+  const differences = []
+  for (const row of rows) {
+    if (row.duneFoot != null && official.has(row.year)) {
+      years.push(row.year)
+      differences.push(row.duneFoot - official.get(row.year))
+    }
+  }
+  if (differences.length === 0) {
+    return null
+  }
+  const mean = differences.reduce((sum, d) => sum + d, 0) / differences.length
+  const rms = Math.sqrt(differences.reduce((sum, d) => sum + d * d, 0) / differences.length)
+  return { years, count: differences.length, meanDifference: mean, rmsDifference: rms }
+}
@@ -0,0 +1,487 @@
+/**
+ * utils/parsers.js
+ *
+ * Response parsers for the OpenDAP datasets: `.ascii` payloads and decoded
+ * DAP2 variables (utils/dap2.js) turned into the records the store keeps.
+ * Pure functions of the response text or variables; see
+ * tests/parsers.test.js for the layouts they accept.
+ */
+
+import { ddsDimensionSize, decodeCfTime, parseDds } from '@/utils/dap2'
+
+/* -------------------- ASCII tokens -------------------- */
+const NUM_RE = /-?(?:\d+\.\d+|\d+|\.\d+)(?:[eE][+-]?\d+)?|NaN/gi
+const INDEX_PATTERN = /(^|\n)\s*(?:\[\d+\]){1,4},\s*/g
+const NUM_PATTERN = /[-+]?(?:\d+\.\d+|\d+\.|\.\d+|\d+)(?:[eE][-+]?\d+)?/g
+
+export function stripOpendapIndices (block) {
+  if (!block) {
+    return ''
+  }
+  return block.replace(INDEX_PATTERN, '$1')
+}
+
+export function tokenizeNumbers (block) {
+  if (!block) {
+    return []
+  }
+  const matches = block.match(NUM_PATTERN)
+  if (!matches) {
+    return []
+  }
+  return matches.map(Number)
+}
+
+export function tokenizeNumbersKeepNaN (block) {
+  if (!block) {
+    return []
+  }
+  const matches = block.match(NUM_RE) || []
+  return matches.map(tok => (/^nan$/i.test(tok) ? null : Number(tok)))
+}
+
+export function parseTimeDimensionFromDds (ddsText) {
+  try {
+    const size = ddsDimensionSize(parseDds(ddsText), 'time')
+    return size > 0 ? size : null
+  } catch {
+    return null
+  }
+}
+
+// Size from the error a server returns for an out-of-range probe such as
+// `time[0:1:9999]` ("... stop >= size: 9999: 61"); null when absent
+export function parseTimeSizeFromError (errorText) {
+  const sizeMatch = String(errorText ?? '').match(/stop\s*>=\s*size:\s*\d+:\s*(\d+)/i)
+  const size = sizeMatch?.[1] ? Number.parseInt(sizeMatch[1], 10) : 0
+  return size > 0 ? size : null
+}
+
+/* -------------------- ASCII payloads -------------------- */
+function nullifySentinel (values) {
+  return values.map(v => (v === -9999 ? null : v))
+}
+
+const MS_PER_DAY = 86_400_000
+
+/**
+ * Epoch milliseconds for `time` values read without their units (the
+ * .ascii response has none): values that look like calendar years are
+ * taken as 1 January of that year, anything else as days since
+ * 1970-01-01, the JARKUS convention. Missing values stay null.
+ */
+export function toTimestamps (timeVals) {
+  if (!Array.isArray(timeVals) || timeVals.length === 0) {
+    return []
+  }
+
+  const valid = timeVals.filter(v => v != null && Number.isFinite(v))
+  const calendarYears = valid.length > 0 && Math.min(...valid) >= 1800 && Math.max(...valid) <= 2100
+  return timeVals.map(v => {
+    if (v == null || !Number.isFinite(v)) {
+      return null
+    }
+    return calendarYears ? Date.UTC(Math.trunc(v), 0, 1) : v * MS_PER_DAY
+  })
+}
+
+// Year label of each timestamp; '' for a missing one
+export function timestampYearLabels (times) {
+  return (times || []).map(t => (t == null ? '' : String(new Date(t).getUTCFullYear())))
+}
+
+export function toYearLabels (timeVals) {
+  return timestampYearLabels(toTimestamps(timeVals))
+}
+
+// Time values of one variable as timestamps, with -9999/NaN as missing; [] when absent
+function asciiTimestamps (ascii, varName) {
+  return toTimestamps(nullifySentinel(tokenizeNumbersKeepNaN(stripOpendapIndices(capturePayloadBlock(ascii, varName)))))
+}
+
+/**
+ * Robustly grab only the numeric/text payload that follows a header like:
+ *   altitude[time = 60][alongshore = 1][cross_shore = 2463]
+ *   cross_shore[2463]
+ *   cross_shore [0:1:2462]
+ *
+ * IMPORTANT: OpenDAP .ascii has a preamble ("Dataset { ... }") and then
+ * a dashed separator line. Only AFTER that line do the numeric payload
+ * headers appear. We must ignore/pre-skip the preamble to avoid matching
+ * its structural/metadata headers.
+ */
+export function capturePayloadBlock (asciiRaw, varName) {
+  return locatePayload(asciiRaw, varName)?.body ?? ''
+}
+
+// Sizes in a payload header: altitude.altitude[60][1][2463] -> [60, 1, 2463]
+export function payloadShape (asciiRaw, varName) {
+  const header = locatePayload(asciiRaw, varName)?.header ?? ''
+  return [...header.matchAll(/\[(?:\s*\w+\s*=)?\s*(\d+)\s*\]/g)].map(m => Number(m[1]))
+}
+
+// Header line and payload text of one variable, or null when absent
+function locatePayload (asciiRaw, varName) {
+  if (!asciiRaw) {
+    return null
+  }
+
+  // Normalize endings
+  const ascii = asciiRaw.replace(/\r\n/g, '\n')
+
+  // 1) Find the dashed separator line and work only on the tail
+  const sepMatch = /^\s*-{5,}\s*$/m.exec(ascii)
+  const searchBase = sepMatch
+    ? ascii.slice(sepMatch.index + sepMatch[0].length)
+    : ascii // fallback: no separator found; search whole text
+
+  // 2) In the payload section, find the header line for this var
+  // accept things like: altitude.altitude[60][1][2463]
+  // and also possible namespaces like foo.bar.altitude[...]
+  const headerRe = new RegExp(
+    String.raw`^\s*(?:[\w]+\.)*${varName}\s*(?:\[[^\n]*\]\s*)+\s*$`,
+    'm',
+  )
+  const m = headerRe.exec(searchBase)
+  if (!m) {
+    return null
+  }
+
+  const start = m.index + m[0].length
+  const tail = searchBase.slice(start)
+
+  // 3) Capture until the next payload header or EOF
+  // next header may also be dotted
+  const nextHeaderRe = /^\s*[\w.]+\s*(?:\[[^\n]*\]\s*)+\s*$/m
+  const n = nextHeaderRe.exec(tail)
+  const end = n ? n.index : tail.length
+
+  return { header: m[0].trim(), body: tail.slice(0, end) }
+}
+
+export function parseOpendapAscii (ascii) {
+  const crossBlock = capturePayloadBlock(ascii, 'cross_shore')
+  const timeBlock = capturePayloadBlock(ascii, 'time')
+  const altBlock = capturePayloadBlock(ascii, 'altitude')
+
+  const cleanAltBlock = stripOpendapIndices(altBlock)
+
+  const cross = tokenizeNumbers(crossBlock)
+  const times = toTimestamps(tokenizeNumbers(timeBlock))
+  const time = timestampYearLabels(times)
+
+  if (cross.length === 0 || time.length === 0) {
+    const head = (ascii || '').slice(0, 500)
+    throw new Error(
+      'Could not parse cross_shore/time arrays from payload. '
+      + 'Check that the .ascii response includes headers like "cross_shore[...]" and "time[...]". '
+      + 'Response (first 500 chars):\n' + head,
+    )
+  }
+
+  // altitude is a flat list reshaped to [time][cross_shore]; NaN and -9999 are missing (null)
+  const flatAlt = nullifySentinel(tokenizeNumbersKeepNaN(cleanAltBlock))
+  const T = time.length
+  const X = cross.length
+
+  if (flatAlt.length === 0) {
+    const head = (ascii || '').slice(0, 500)
+    throw new Error(
+      'Could not parse altitude array from payload. '
+      + 'Ensure the .ascii request includes "altitude[...]". '
+      + 'Response (first 500 chars):\n' + head,
+    )
+  }
+
+  if (flatAlt.length !== T * X) {
+    throw new Error(
+      `Altitude size mismatch: got ${flatAlt.length}, expected ${T}×${X}=${T * X}.`,
+    )
+  }
+
+  // Expected layout: T rows, each with X values (alongshore=1 collapses away).
+  // A header such as altitude[2463][60] means the server sent it transposed.
+  const shape = payloadShape(ascii, 'altitude').filter(n => n !== 1)
+  const transposed = T !== X && shape.length === 2 && shape[0] === X && shape[1] === T
+  const altitude2D = Array.from({ length: T }, (_, t) => Array.from(
+    { length: X },
+    (_, x) => flatAlt[transposed ? x * T + t : t * X + x] ?? null,
+  ))
+
+  return {
+    crossShore: cross,
+    years: time,
+    times,
+    altitudeByYear: altitude2D,
+    ...surveyDatesFromAscii(ascii, T),
+  }
+}
+
+// Dates of the topographic (beach and dunes) and bathymetric (sea) survey per profile; missing in older responses
+function surveyDatesFromAscii (ascii, count) {
+  const dates = varName => {
+    const values = asciiTimestamps(ascii, varName)
+    return values.length === count ? values : Array.from({ length: count }, () => null)
+  }
+  return { topoDates: dates('time_topo'), bathyDates: dates('time_bathy') }
+}
+
+export function parseQuotedStringArray (payload) {
+  if (!payload) {
+    return []
+  }
+  const clean = stripOpendapIndices(payload)
+  const matches = clean.match(/"([^"]*)"/g) || []
+  return matches.map(s => s.replace(/^"/, '').replace(/"$/, '').trim())
+}
+
+export function yearSeriesFromAscii (entry, ascii) {
+  const timeValues = tokenizeNumbers(capturePayloadBlock(ascii, 'time'))
+  const times = toTimestamps(timeValues)
+  const parsed = { years: timestampYearLabels(times), times }
+  for (const variable of entry.variables) {
+    const values = tokenizeNumbersKeepNaN(stripOpendapIndices(capturePayloadBlock(ascii, variable.name)))
+    if (variable.required && (timeValues.length === 0 || values.length === 0)) {
+      const head = (ascii || '').slice(0, 500)
+      throw new Error(
+        `Could not parse time/${variable.name} arrays from payload. `
+        + 'Response (first 500 chars):\n' + head,
+      )
+    }
+    parsed[variable.key] = nullifySentinel(values)
+  }
+  return parsed
+}
+
+/* -------------------- DAP2 mapping -------------------- */
+function dap2Variable (variables, name) {
+  const variable = variables[name]
+  if (!variable?.data) {
+    throw new Error(`DAP2 response has no "${name}" variable`)
+  }
+  return variable
+}
+
+// Unpacked values with NaN (fill/missing) as null
+function dap2Nullable (values) {
+  return Array.from(values, v => (Number.isNaN(v) ? null : v))
+}
+
+function dap2IntegerList (values) {
+  return Array.from(values, v => Math.trunc(v)).filter(n => Number.isFinite(n))
+}
+
+// Timestamps from the CF time units; falls back to the ASCII heuristic
+function dap2Timestamps (time) {
+  return decodeCfTime(time.values, time.attributes?.units) || toTimestamps(dap2Nullable(time.values))
+}
+
+// { years, times } of the time variable
+function dap2Time (variables) {
+  const times = dap2Timestamps(dap2Variable(variables, 'time'))
+  return { years: timestampYearLabels(times), times }
+}
+
+// Survey dates of a [time][alongshore = 1] time variable; nulls when it is not in the response
+function dap2SurveyDates (variables, name, count) {
+  const variable = variables[name]
+  const times = variable?.values ? dap2Timestamps(variable) : []
+  return times.length === count ? times : Array.from({ length: count }, () => null)
+}
+
+// Per-transect series: [time][alongshore = 1] collapses to one value per year
+function dap2Series (variables, name) {
+  const variable = dap2Variable(variables, name)
+  if (variable.dims[0] !== 'time') {
+    throw new Error(`Unexpected ${name} dimensions: ${variable.dims.join(', ')}`)
+  }
+  return dap2Nullable(variable.values)
+}
+
+export function altitudeFromDap2 (variables) {
+  return altitudeBlockFromDap2(1, variables)[0]
+}
+
+export function yearSeriesFromDap2 (entry, variables) {
+  const parsed = dap2Time(variables)
+  for (const variable of entry.variables) {
+    parsed[variable.key] = variable.required || variables[variable.name] ? dap2Series(variables, variable.name) : []
+  }
+  return parsed
+}
+
+/* -------------------- Area records -------------------- */
+/*
+ * Area readers: the same variables for `count` consecutive transects,
+ * parsed as { years, [key]: values[time][transect] }, and the block
+ * readers that split such a hyperslab into per-transect records.
+ */
+export function reshapeRows (values, count) {
+  const rows = []
+  for (let p = 0; p + count <= values.length; p += count) {
+    rows.push(values.slice(p, p + count))
+  }
+  return rows
+}
+
+export function areaSeriesFromDap2 (entry, count, variables) {
+  const parsed = dap2Time(variables)
+  for (const variable of entry.variables) {
+    if (!variable.required && !variables[variable.name]) {
+      parsed[variable.key] = []
+      continue
+    }
+    const v = dap2Variable(variables, variable.name)
+    if (v.dims[0] !== 'time' || v.shape[1] !== count) {
+      throw new Error(`Unexpected ${variable.name} shape: ${v.shape.join('×')}, expected ${parsed.years.length}×${count}`)
+    }
+    parsed[variable.key] = reshapeRows(dap2Nullable(v.values), count)
+  }
+  return parsed
+}
+
+/**
+ * Profiles of `count` consecutive transects from one
+ * altitude[time][alongshore][cross_shore] hyperslab, as one record per
+ * transect in the shape of altitudeFromDap2.
+ */
+export function altitudeBlockFromDap2 (count, variables) {
+  const crossShore = dap2Nullable(dap2Variable(variables, 'cross_shore').values)
+  const { years, times } = dap2Time(variables)
+  const altitude = dap2Variable(variables, 'altitude')
+
+  // The shape is known, no guessing
+  const [T, A, X] = altitude.shape
+  if (altitude.dims[0] !== 'time' || A !== count || T !== years.length || X !== crossShore.length) {
+    throw new Error(`Altitude shape mismatch: got ${altitude.shape.join('×')}, expected ${years.length}×${count}×${crossShore.length}.`)
+  }
+  const dates = name => reshapeRows(dap2SurveyDates(variables, name, T * count), count)
+  const topo = dates('time_topo')
+  const bathy = dates('time_bathy')
+  return Array.from({ length: count }, (_, a) => ({
+    crossShore,
+    years,
+    times,
+    altitudeByYear: Array.from({ length: T }, (_, t) => dap2Nullable(altitude.values.subarray((t * A + a) * X, (t * A + a + 1) * X))),
+    topoDates: topo.map(row => row[a]),
+    bathyDates: bathy.map(row => row[a]),
+  }))
+}
+
+// ASCII counterpart of altitudeBlockFromDap2; missing values (NaN, -9999) are null
+export function altitudeBlockFromAscii (count, ascii) {
+  const crossShore = tokenizeNumbers(capturePayloadBlock(ascii, 'cross_shore'))
+  const times = toTimestamps(tokenizeNumbers(capturePayloadBlock(ascii, 'time')))
+  const years = timestampYearLabels(times)
+  const T = years.length
+  const X = crossShore.length
+  if (X === 0 || T === 0) {
+    throw new Error('Could not parse cross_shore/time arrays from payload.')
+  }
+  const values = nullifySentinel(tokenizeNumbersKeepNaN(stripOpendapIndices(capturePayloadBlock(ascii, 'altitude'))))
+  if (values.length !== T * count * X) {
+    throw new Error(`Altitude size mismatch: got ${values.length}, expected ${T}×${count}×${X}=${T * count * X}.`)
+  }
+  const dates = name => {
+    const stamps = asciiTimestamps(ascii, name)
+    return stamps.length === T * count ? reshapeRows(stamps, count) : Array.from({ length: T }, () => Array.from({ length: count }, () => null))
+  }
+  const topo = dates('time_topo')
+  const bathy = dates('time_bathy')
+  return Array.from({ length: count }, (_, a) => ({
+    crossShore,
+    years,
+    times,
+    altitudeByYear: Array.from({ length: T }, (_, t) => values.slice((t * count + a) * X, (t * count + a + 1) * X)),
+    topoDates: topo.map(row => row[a]),
+    bathyDates: bathy.map(row => row[a]),
+  }))
+}
+
+/**
+ * Split an area record ({ years, times, [key]: values[time][transect] })
+ * into `count` per-transect records in the shape of yearSeriesFromDap2;
+ * optional variables missing from the response stay [].
+ */
+export function areaSeriesRecords (entry, area, count) {
+  return Array.from({ length: count }, (_, a) => {
+    const record = { years: area.years, times: area.times }
+    for (const variable of entry.variables) {
+      const rows = area[variable.key] || []
+      record[variable.key] = rows.length > 0 ? rows.map(row => row[a] ?? null) : []
+    }
+    return record
+  })
+}
+
+export function areaSeriesFromAscii (entry, count, ascii) {
+  const times = toTimestamps(tokenizeNumbers(capturePayloadBlock(ascii, 'time')))
+  const years = timestampYearLabels(times)
+  const parsed = { years, times }
+  for (const variable of entry.variables) {
+    const values = nullifySentinel(tokenizeNumbersKeepNaN(stripOpendapIndices(capturePayloadBlock(ascii, variable.name))))
+    if (variable.required && (years.length === 0 || values.length !== years.length * count)) {
+      throw new Error(`Could not parse ${variable.name} for ${count} transects: got ${values.length} values for ${years.length} years`)
+    }
+    parsed[variable.key] = reshapeRows(values, count)
+  }
+  return parsed
+}
+
+/* -------------------- Catalog -------------------- */
+// Catalog readers for the one-value-per-transect variables of transect.nc
+export function asciiIntegerList (ascii, varName) {
+  return tokenizeNumbers(stripOpendapIndices(capturePayloadBlock(ascii, varName)))
+    .map(n => Number.parseInt(String(n), 10))
+    .filter(n => Number.isFinite(n))
+}
+
+export const CATALOG_READERS = {
+  ids: {
+    label: 'transect catalog',
+    fromDap2: variables => dap2IntegerList(dap2Variable(variables, 'id').values),
+    fromAscii: ascii => asciiIntegerList(ascii, 'id'),
+  },
+  alongshore: {
+    label: 'alongshore list',
+    fromDap2: variables => dap2IntegerList(dap2Variable(variables, 'alongshore').values),
+    fromAscii: ascii => asciiIntegerList(ascii, 'alongshore'),
+  },
+  area: {
+    label: 'area info',
+    fromDap2: variables => ({
+      codes: dap2IntegerList(dap2Variable(variables, 'areacode').values),
+      names: dap2Variable(variables, 'areaname').data.map(name => String(name).trim()),
+    }),
+    fromAscii: ascii => ({
+      codes: asciiIntegerList(ascii, 'areacode'),
+      names: parseQuotedStringArray(capturePayloadBlock(ascii, 'areaname')),
+    }),
+  },
+  rsp: {
+    label: 'RSP info',
+    fromDap2: variables => ({
+      x: dap2Nullable(dap2Variable(variables, 'rsp_x').values),
+      y: dap2Nullable(dap2Variable(variables, 'rsp_y').values),
+      lat: dap2Nullable(dap2Variable(variables, 'rsp_lat').values),
+      lon: dap2Nullable(dap2Variable(variables, 'rsp_lon').values),
+    }),
+    fromAscii: ascii => ({
+      x: tokenizeNumbers(stripOpendapIndices(capturePayloadBlock(ascii, 'rsp_x'))),
+      y: tokenizeNumbers(stripOpendapIndices(capturePayloadBlock(ascii, 'rsp_y'))),
+      lat: tokenizeNumbers(stripOpendapIndices(capturePayloadBlock(ascii, 'rsp_lat'))),
+      lon: tokenizeNumbers(stripOpendapIndices(capturePayloadBlock(ascii, 'rsp_lon'))),
+    }),
+  },
+  water: {
+    label: 'mean water levels',
+    fromDap2: variables => ({
+      high: dap2Nullable(dap2Variable(variables, 'mean_high_water').values),
+      low: dap2Nullable(dap2Variable(variables, 'mean_low_water').values),
+    }),
+    fromAscii: ascii => ({
+      high: tokenizeNumbersKeepNaN(stripOpendapIndices(capturePayloadBlock(ascii, 'mean_high_water'))),
+      low: tokenizeNumbersKeepNaN(stripOpendapIndices(capturePayloadBlock(ascii, 'mean_low_water'))),
+    }),
+  },
+}
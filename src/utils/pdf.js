@@ -0,0 +1,69 @@
+/**
+ * utils/pdf.js
+ *
+ * Minimal PDF writer: one JPEG image per page, scaled to fill the page.
+ * Enough for report figures without pulling in a PDF library.
+ */
+
+// A4 portrait in PDF points (1/72 inch)
+export const A4_POINTS = { width: 595.28, height: 841.89 }
+
+const encoder = new TextEncoder()
+
+/**
+ * PDF Blob from pages of { jpeg: Uint8Array, width, height }, where width
+ * and height are the image size in pixels. Pages are A4, with the image
+ * fitted and centred.
+ */
+export function jpegPagesToPdf (pages, { title = '' } = {}) {
+  const chunks = []
+  const offsets = []
+  let length = 0
+
+  function push (data) {
+    const bytes = typeof data === 'string' ? encoder.encode(data) : data
+    chunks.push(bytes)
+    length += bytes.length
+  }
+
+  function object (id, body, stream = null) {
+    offsets[id] = length
+    push(`${id} 0 obj\n${body}\n`)
+    if (stream) {
+      push('stream\n')
+      push(stream)
+      push('\nendstream\n')
+    }
+    push('endobj\n')
+  }
+
+  // 1: catalog, 2: page tree, 3: info, then page / contents / image per page
+  const pageIds = pages.map((_, i) => 4 + i * 3)
+  push('%PDF-1.4\n%âãÏÓ\n')
+  object(1, '<< /Type /Catalog /Pages 2 0 R >>')
+  object(2, `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`)
+  object(3, `<< /Title (${title.replaceAll(/[()\\]/g, c => `\\${c}`)}) /Producer (Coastviewer Graphs) >>`)
+
+  const { width: W, height: H } = A4_POINTS
+  for (const [i, page] of pages.entries()) {
+    const [pageId, contentsId, imageId] = [pageIds[i], pageIds[i] + 1, pageIds[i] + 2]
+    const scale = Math.min(W / page.width, H / page.height)
+    const w = page.width * scale
+    const h = page.height * scale
+    const contents = encoder.encode(`q ${w.toFixed(2)} 0 0 ${h.toFixed(2)} ${((W - w) / 2).toFixed(2)} ${((H - h) / 2).toFixed(2)} cm /Im0 Do Q`)
+
+    object(pageId, `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${W} ${H}] /Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentsId} 0 R >>`)
+    object(contentsId, `<< /Length ${contents.length} >>`, contents)
+    object(imageId, `<< /Type /XObject /Subtype /Image /Width ${page.width} /Height ${page.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${page.jpeg.length} >>`, page.jpeg)
+  }
+
+  const size = 4 + pages.length * 3
+  const xref = length
+  const rows = ['0000000000 65535 f ']
+  for (let id = 1; id < size; id++) {
+    rows.push(`${String(offsets[id]).padStart(10, '0')} 00000 n `)
+  }
+  push(`xref\n0 ${size}\n${rows.join('\n')}\ntrailer\n<< /Size ${size} /Root 1 0 R /Info 3 0 R >>\nstartxref\n${xref}\n%%EOF\n`)
+
+  return new Blob(chunks, { type: 'application/pdf' })
+}
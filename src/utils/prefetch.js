@@ -0,0 +1,63 @@
+/**
+ * utils/prefetch.js
+ *
+ * Scheduling of the neighbour prefetch (store `prefetchNeighbours`): which
+ * transects to warm, waiting for the browser to be idle, and whether the
+ * connection is one to spend data on.
+ */
+
+// Transects warmed on either side of the current one, and the most a run may download
+export const PREFETCH_NEIGHBOURS = 2
+export const PREFETCH_BUDGET_BYTES = 8 * 1024 * 1024
+
+/**
+ * Catalog indices within `count` of `index`, nearest first and the next
+ * one before the previous one at each distance; indices outside
+ * [0, total) are left out.
+ */
+export function neighbourIndices (index, count, total) {
+  const out = []
+  for (let d = 1; d <= count; d++) {
+    for (const i of [index + d, index - d]) {
+      if (i >= 0 && i < total) {
+        out.push(i)
+      }
+    }
+  }
+  return out
+}
+
+/**
+ * Resolves when the browser is idle (at the latest after `timeoutMs`), or
+ * after a short pause where requestIdleCallback is missing; rejects when
+ * `signal` aborts.
+ */
+export function whenIdle (signal, timeoutMs = 2000) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(signal.reason)
+      return
+    }
+    const idle = typeof requestIdleCallback === 'function'
+    const id = idle ? requestIdleCallback(() => done(), { timeout: timeoutMs }) : setTimeout(() => done(), 200)
+    function onAbort () {
+      if (idle) {
+        cancelIdleCallback(id)
+      } else {
+        clearTimeout(id)
+      }
+      reject(signal.reason)
+    }
+    function done () {
+      signal?.removeEventListener('abort', onAbort)
+      resolve()
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+// False with data saver on or on a 2G connection (Network Information API, where available)
+export function prefetchAllowed () {
+  const connection = typeof navigator === 'undefined' ? null : navigator.connection
+  return !connection?.saveData && !/2g/.test(connection?.effectiveType || '')
+}
@@ -0,0 +1,249 @@
+/**
+ * utils/request.js
+ *
+ * Shared request layer for the OpenDAP server. Every GET goes through
+ * `request`, which adds to `fetch`:
+ *   - a timeout per attempt
+ *   - retries with exponential backoff after network errors, timeouts and
+ *     answers a busy server gives (429, 500, 502, 503, 504)
+ *   - de-duplication: concurrent requests for the same URL and headers
+ *     share one fetch, which is aborted only when every caller has aborted
+ *   - a limit on the number of requests running at once
+ * The body is read inside the layer, so every caller gets a Response of
+ * its own. Other error statuses are returned as they are.
+ */
+
+const settings = {
+  timeoutMs: 60_000,
+  retries: 3,
+  // First backoff; doubled per retry up to maxBackoffMs, with jitter
+  backoffMs: 500,
+  maxBackoffMs: 8000,
+  maxConcurrent: 6,
+}
+
+const RETRY_STATUSES = new Set([429, 500, 502, 503, 504])
+const NULL_BODY_STATUSES = new Set([204, 205, 304])
+
+// Override the settings above (tests, or a slow mirror)
+export function configureRequests (overrides) {
+  Object.assign(settings, overrides)
+}
+
+function abortReason (signal) {
+  return signal.reason ?? new DOMException('Request aborted', 'AbortError')
+}
+
+/* -------------------- Concurrency limit -------------------- */
+let running = 0
+const waiting = []
+
+// Resolves once a request slot is free; rejects when `signal` aborts first
+function acquireSlot (signal) {
+  if (running < settings.maxConcurrent) {
+    running++
+    return Promise.resolve()
+  }
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      const i = waiting.indexOf(waiter)
+      if (i !== -1) {
+        waiting.splice(i, 1)
+        reject(abortReason(signal))
+      }
+    }
+    const waiter = {
+      resolve: () => {
+        signal.removeEventListener('abort', onAbort)
+        resolve()
+      },
+    }
+    waiting.push(waiter)
+    signal.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+// Hand the slot to the next waiting request, or free it
+function releaseSlot () {
+  const next = waiting.shift()
+  if (next) {
+    next.resolve()
+  } else {
+    running--
+  }
+}
+
+/* -------------------- Attempts and retries -------------------- */
+// Wait `ms`, or reject when `signal` aborts first; the listener is removed either way
+function sleep (ms, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer)
+      reject(abortReason(signal))
+    }
+    const timer = setTimeout(() => {
+      signal.removeEventListener('abort', onAbort)
+      resolve()
+    }, ms)
+    signal.addEventListener('abort', onAbort, { once: true })
+  })
+}
+
+function backoffDelay (attempt) {
+  const delay = Math.min(settings.maxBackoffMs, settings.backoffMs * 2 ** attempt)
+  return delay * (0.5 + Math.random() / 2)
+}
+
+// One fetch with the body read, bounded by the timeout; a timeout rejects with a TimeoutError
+async function attemptFetch (url, headers, signal) {
+  if (signal.aborted) {
+    throw abortReason(signal)
+  }
+  const controller = new AbortController()
+  const onAbort = () => controller.abort(abortReason(signal))
+  signal.addEventListener('abort', onAbort, { once: true })
+  const timer = setTimeout(() => {
+    controller.abort(new DOMException(`Request timed out after ${Math.round(settings.timeoutMs / 1000)} s`, 'TimeoutError'))
+  }, settings.timeoutMs)
+  try {
+    const res = await fetch(url, { cache: 'no-store', headers, signal: controller.signal })
+    const body = NULL_BODY_STATUSES.has(res.status) ? null : await res.arrayBuffer()
+    return { status: res.status, statusText: res.statusText, headers: [...res.headers], body }
+  } catch (error) {
+    throw controller.signal.aborted ? controller.signal.reason : error
+  } finally {
+    clearTimeout(timer)
+    signal.removeEventListener('abort', onAbort)
+  }
+}
+
+// Network errors (fetch rejects with a TypeError) and timeouts may pass
+function isRetryableError (error) {
+  return error instanceof TypeError || error?.name === 'TimeoutError'
+}
+
+async function fetchWithRetries (url, headers, signal) {
+  for (let attempt = 0; ; attempt++) {
+    await acquireSlot(signal)
+    let result = null
+    try {
+      result = await attemptFetch(url, headers, signal)
+    } catch (error) {
+      if (signal.aborted || attempt >= settings.retries || !isRetryableError(error)) {
+        throw error
+      }
+      console.warn(`Request failed, retrying (${attempt + 1}/${settings.retries}): ${url}`, error)
+    } finally {
+      releaseSlot()
+    }
+    if (result && (!RETRY_STATUSES.has(result.status) || attempt >= settings.retries)) {
+      return result
+    }
+    await sleep(backoffDelay(attempt), signal)
+  }
+}
+
+/* -------------------- De-duplication -------------------- */
+/** @type {Map<string, { promise: Promise<object>, controller: AbortController, callers: number }>} */
+const inflight = new Map()
+
+function requestKey (url, headers) {
+  return `${url}\n${JSON.stringify(Object.entries(headers).sort(([a], [b]) => a.localeCompare(b)))}`
+}
+
+// Wait for a shared fetch as one of its callers; the last caller to abort aborts the fetch
+function joinShared (key, entry, signal) {
+  if (signal?.aborted) {
+    return Promise.reject(abortReason(signal))
+  }
+  entry.callers++
+  return new Promise((resolve, reject) => {
+    let done = false
+    const leave = () => {
+      done = true
+      entry.callers--
+      signal?.removeEventListener('abort', onAbort)
+    }
+    function onAbort () {
+      if (done) {
+        return
+      }
+      leave()
+      if (entry.callers === 0) {
+        entry.controller.abort(abortReason(signal))
+        if (inflight.get(key) === entry) {
+          inflight.delete(key)
+        }
+      }
+      reject(abortReason(signal))
+    }
+    signal?.addEventListener('abort', onAbort, { once: true })
+    entry.promise.then(
+      result => {
+        if (!done) {
+          leave()
+          resolve(result)
+        }
+      },
+      error => {
+        if (!done) {
+          leave()
+          reject(error)
+        }
+      },
+    )
+  })
+}
+
+/**
+ * GET `url` through the shared layer. Resolves to a Response whatever its
+ * status (after the retries for the statuses above); rejects on network
+ * errors and timeouts once the retries are used up, and with the abort
+ * reason when `signal` aborts. The body size is added to `meter.bytes`
+ * when a meter is given (the prefetch measures its own downloads with it).
+ */
+export async function request (url, { signal, headers = {}, meter } = {}) {
+  const key = requestKey(url, headers)
+  let entry = inflight.get(key)
+  if (!entry) {
+    const controller = new AbortController()
+    entry = { controller, callers: 0, promise: fetchWithRetries(url, headers, controller.signal) }
+    inflight.set(key, entry)
+    const settled = entry
+    const forget = () => {
+      if (inflight.get(key) === settled) {
+        inflight.delete(key)
+      }
+    }
+    entry.promise.then(forget, forget)
+  }
+  const { status, statusText, headers: responseHeaders, body } = await joinShared(key, entry, signal)
+  if (meter) {
+    meter.bytes += body?.byteLength ?? 0
+  }
+  return new Response(body, { status, statusText, headers: responseHeaders })
+}
+
+/**
+ * Abort handle for loads where the latest one wins (a transect's profiles,
+ * one dataset). `replace(key)` aborts the previous load and returns the
+ * controller of the next; a load for the same `key` keeps the running
+ * controller, so a repeated request joins the fetch in flight instead of
+ * restarting it.
+ */
+export function createAbortSlot () {
+  let current = null
+  return {
+    replace (key) {
+      if (current && current.key === key && !current.controller.signal.aborted) {
+        return current.controller
+      }
+      current?.controller.abort()
+      current = { key, controller: new AbortController() }
+      return current.controller
+    },
+    isCurrent (controller) {
+      return current?.controller === controller
+    },
+  }
+}
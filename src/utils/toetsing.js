@@ -0,0 +1,83 @@
+/**
+ * utils/toetsing.js
+ *
+ * Coastline maintenance test ("toetsing") per year. Cross-shore distances
+ * grow seaward, so a coastline is landward of the BKL when it is smaller.
+ * A year fails when the TKL (testing coastline, the MKL trend at the test
+ * year) or the MKL of that year is landward of the BKL, and passes when
+ * every coastline it has is at or seaward of it. `failed` names the
+ * coastlines that failed.
+ */
+
+export const TOETSING_STATUS = {
+  pass: { label: 'Pass', description: 'TKL and MKL at or seaward of the BKL', color: '#4CAF50' },
+  fail: { label: 'Fail', description: 'TKL or MKL landward of the BKL', color: '#F44336' },
+  unknown: { label: 'Unknown', description: 'No BKL, or neither TKL nor MKL', color: '#9E9E9E' },
+}
+
+function finite (v) {
+  return v != null && Number.isFinite(v) ? v : null
+}
+
+// First value per year label
+function byYear (years, values) {
+  const map = new Map()
+  for (const [i, year] of (years || []).entries()) {
+    if (year !== '' && !map.has(year)) {
+      map.set(year, finite(values?.[i]))
+    }
+  }
+  return map
+}
+
+// Status and the coastlines landward of the BKL
+function classify (bkl, tkl, mkl) {
+  if (bkl == null || (tkl == null && mkl == null)) {
+    return { status: 'unknown', failed: [] }
+  }
+  const failed = [['TKL', tkl], ['MKL', mkl]].filter(([, v]) => v != null && v < bkl).map(([name]) => name)
+  return { status: failed.length > 0 ? 'fail' : 'pass', failed }
+}
+
+/**
+ * Status per year of the BKL dataset: { year, status, failed, bkl, tkl,
+ * mkl, tklMargin, mklMargin }. Margins are the seaward distance to the BKL in
+ * metres (negative when landward). `basal` is the parsed BKL record
+ * ({ years, basalCoastline, testingCoastline }), `momentary` the MKL
+ * record ({ years, momentaryCoastline }) or null.
+ */
+export function evaluateToetsing (basal, momentary) {
+  const mklByYear = byYear(momentary?.years, momentary?.momentaryCoastline)
+  const out = []
+  const seen = new Set()
+  for (const [i, year] of (basal?.years || []).entries()) {
+    if (year === '' || seen.has(year)) {
+      continue
+    }
+    seen.add(year)
+    const bkl = finite(basal.basalCoastline?.[i])
+    const tkl = finite(basal.testingCoastline?.[i])
+    const mkl = mklByYear.get(year) ?? null
+    out.push({
+      year,
+      ...classify(bkl, tkl, mkl),
+      bkl,
+      tkl,
+      mkl,
+      tklMargin: bkl != null && tkl != null ? tkl - bkl : null,
+      mklMargin: bkl != null && mkl != null ? mkl - bkl : null,
+    })
+  }
+  return out
+}
+
+// Status label of a row, naming the coastlines that failed ("Fail: TKL, MKL")
+export function statusLabel (row) {
+  const { label } = TOETSING_STATUS[row.status]
+  return row.failed?.length > 0 ? `${label}: ${row.failed.join(', ')}` : label
+}
+
+// Most recent row with a known status, or null
+export function latestStatus (rows) {
+  return rows.findLast(row => row.status !== 'unknown') || null
+}
@@ -0,0 +1,92 @@
+/**
+ * utils/transects.js
+ *
+ * Helpers for resolving transect ids against the catalog id list
+ */
+
+export const DEFAULT_TRANSECT_NUMBER = 1_000_475
+
+// Helper: find closest index in an array of numeric IDs
+export function findClosestIndex (ids, target) {
+  if (!ids || ids.length === 0) {
+    return -1
+  }
+  let bestIdx = 0
+  let bestDiff = Math.abs(ids[0] - target)
+  for (let i = 1; i < ids.length; i++) {
+    const diff = Math.abs(ids[i] - target)
+    if (diff < bestDiff) {
+      bestDiff = diff
+      bestIdx = i
+    }
+  }
+  return bestIdx
+}
+
+// Route param -> transect number (fallback to the default transect)
+export function parseTransectNum (raw) {
+  const n = Number(raw)
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : DEFAULT_TRANSECT_NUMBER
+}
+
+// "7003800,7003900" -> [7003800, 7003900] (invalid and duplicate entries dropped)
+export function parseTransectNumList (raw) {
+  const out = []
+  for (const part of String(raw ?? '').split(',')) {
+    const n = Number(part.trim())
+    if (part.trim() !== '' && Number.isFinite(n) && n > 0 && !out.includes(Math.floor(n))) {
+      out.push(Math.floor(n))
+    }
+  }
+  return out
+}
+
+// Step `direction` (+1/-1) from `index` to the next transect in the same area; -1 if none
+export function areaNeighbourIndex (areacodes, index, direction) {
+  if (!areacodes || index < 0 || index >= areacodes.length) {
+    return -1
+  }
+  const code = areacodes[index]
+  for (let i = index + direction; i >= 0 && i < areacodes.length; i += direction) {
+    if (areacodes[i] === code) {
+      return i
+    }
+  }
+  return -1
+}
+
+/**
+ * Runs of consecutive indices as [start, end] pairs, each at most
+ * `maxSize` long (hyperslab blocks of a batch request). Duplicates and
+ * order in `indices` do not matter.
+ */
+export function indexRanges (indices, maxSize = Infinity) {
+  const sorted = [...new Set(indices)].sort((a, b) => a - b)
+  const ranges = []
+  for (const index of sorted) {
+    const last = ranges.at(-1)
+    if (last && index === last[1] + 1 && index - last[0] + 1 <= maxSize) {
+      last[1] = index
+    } else {
+      ranges.push([index, index])
+    }
+  }
+  return ranges
+}
+
+/**
+ * Search match for one catalog entry ({ id, areacode, areaname, alongshore }).
+ * Numbers match id or alongshore distance (m) prefixes and the exact area
+ * code; text matches the area name. All whitespace-separated terms must match.
+ */
+export function matchesTransectQuery (entry, query) {
+  const terms = String(query ?? '').trim().toLowerCase().split(/\s+/).filter(Boolean)
+  return terms.every(term => {
+    if (/^\d+$/.test(term)) {
+      return String(entry.id).startsWith(term)
+        || (entry.alongshore != null && String(entry.alongshore).startsWith(term))
+        || String(entry.areacode) === term
+    }
+    return (entry.areaname || '').toLowerCase().includes(term)
+  })
+}
@@ -0,0 +1,203 @@
+/**
+ * utils/trend.js
+ *
+ * Linear trends of year series (coastline positions, water line crossings)
+ * with a 95% confidence interval on the rate, and breakpoint detection for
+ * sudden shifts such as beach nourishments.
+ */
+
+// Two-sided 95% Student t quantiles for 1–5 degrees of freedom
+const T_975_SMALL = [12.706, 4.303, 3.182, 2.776, 2.571]
+const Z_975 = 1.959_964
+
+// Fewest points on either side of a breakpoint
+const MIN_SEGMENT = 4
+const MAX_BREAKPOINTS = 3
+
+// 97.5% quantile of Student's t; Cornish-Fisher expansion above 5 dof
+function tQuantile975 (dof) {
+  if (dof <= T_975_SMALL.length) {
+    return T_975_SMALL[dof - 1]
+  }
+  const z = Z_975
+  const z3 = z ** 3
+  const z5 = z ** 5
+  const z7 = z ** 7
+  return z
+    + (z3 + z) / (4 * dof)
+    + (5 * z5 + 16 * z3 + 3 * z) / (96 * dof ** 2)
+    + (3 * z7 + 19 * z5 + 17 * z3 - 15 * z) / (384 * dof ** 3)
+}
+
+function isWindowBound (v) {
+  return typeof v === 'number' && Number.isFinite(v)
+}
+
+/**
+ * Valid [year, value] pairs, optionally limited to from ≤ year ≤ to.
+ * Year labels are parsed as numbers; unparseable labels are skipped.
+ */
+export function trendPoints (years, values, { from = null, to = null } = {}) {
+  const points = []
+  for (const [i, label] of (years || []).entries()) {
+    const year = Number(label)
+    const value = values?.[i]
+    if (label === '' || !Number.isFinite(year) || value == null || !Number.isFinite(value)) {
+      continue
+    }
+    if ((isWindowBound(from) && year < from) || (isWindowBound(to) && year > to)) {
+      continue
+    }
+    points.push([year, value])
+  }
+  return points.sort((a, b) => a[0] - b[0])
+}
+
+/**
+ * Least-squares line through points[start..end). Returns { n, from, to,
+ * xMean, yMean, slope, se, ci: [low, high], r2, sse } or null with fewer
+ * than three points or a single year.
+ */
+export function linearFit (points, start = 0, end = points.length) {
+  const n = end - start
+  if (n < 3) {
+    return null
+  }
+
+  let xMean = 0
+  let yMean = 0
+  for (let i = start; i < end; i++) {
+    xMean += points[i][0]
+    yMean += points[i][1]
+  }
+  xMean /= n
+  yMean /= n
+
+  let sxx = 0
+  let sxy = 0
+  let syy = 0
+  for (let i = start; i < end; i++) {
+    const dx = points[i][0] - xMean
+    const dy = points[i][1] - yMean
+    sxx += dx * dx
+    sxy += dx * dy
+    syy += dy * dy
+  }
+  if (sxx === 0) {
+    return null
+  }
+
+  const slope = sxy / sxx
+  const sse = Math.max(0, syy - slope * sxy)
+  const se = Math.sqrt(sse / (n - 2) / sxx)
+  const half = tQuantile975(n - 2) * se
+  return {
+    n,
+    from: points[start][0],
+    to: points[end - 1][0],
+    xMean,
+    yMean,
+    slope,
+    se,
+    ci: [slope - half, slope + half],
+    r2: syy > 0 ? 1 - sse / syy : 1,
+    sse,
+  }
+}
+
+// Value of a fitted line in a given year
+export function trendValue (fit, year) {
+  return fit.yMean + fit.slope * (year - fit.xMean)
+}
+
+// Bayesian information criterion of a piecewise linear model (Gaussian errors)
+function bic (sse, n, params) {
+  return n * Math.log(Math.max(sse, 1e-9) / n) + params * Math.log(n)
+}
+
+// Best single split of points[start..end) into two independent lines, or null
+function bestSplit (points, start, end) {
+  const whole = linearFit(points, start, end)
+  if (!whole || end - start < 2 * MIN_SEGMENT) {
+    return null
+  }
+
+  let best = null
+  for (let k = start + MIN_SEGMENT; k <= end - MIN_SEGMENT; k++) {
+    // Repeated years cannot be split between segments
+    if (points[k][0] === points[k - 1][0]) {
+      continue
+    }
+    const left = linearFit(points, start, k)
+    const right = linearFit(points, k, end)
+    if (!left || !right) {
+      continue
+    }
+    const sse = left.sse + right.sse
+    if (!best || sse < best.sse) {
+      best = { index: k, sse, left, right }
+    }
+  }
+
+  const n = end - start
+  // Two lines plus the break year against one line
+  if (!best || bic(best.sse, n, 5) >= bic(whole.sse, n, 2)) {
+    return null
+  }
+  return best
+}
+
+/**
+ * Breakpoints by binary segmentation: split while the BIC improves, at most
+ * MAX_BREAKPOINTS times. Each breakpoint is { year, jump }, where jump is
+ * the step between both fitted lines at the break year; a positive jump is a
+ * seaward shift, as after a nourishment.
+ */
+export function detectBreakpoints (points) {
+  const splits = []
+  const queue = [[0, points.length]]
+  while (queue.length > 0 && splits.length < MAX_BREAKPOINTS) {
+    const [start, end] = queue.shift()
+    const split = bestSplit(points, start, end)
+    if (!split) {
+      continue
+    }
+    const year = points[split.index][0]
+    splits.push({
+      index: split.index,
+      year,
+      jump: trendValue(split.right, year) - trendValue(split.left, year),
+    })
+    queue.push([start, split.index], [split.index, end])
+  }
+  return splits.sort((a, b) => a.index - b.index)
+}
+
+/**
+ * Trend of one year series inside a year window ({ from, to }, either may
+ * be null): the overall fit, the breakpoints, and one fit per segment
+ * between breakpoints. Returns null when there are too few points.
+ */
+export function trendAnalysis (years, values, window = {}) {
+  const points = trendPoints(years, values, window)
+  const fit = linearFit(points)
+  if (!fit) {
+    return null
+  }
+
+  const splits = detectBreakpoints(points)
+  const bounds = [0, ...splits.map(s => s.index), points.length]
+  const segments = []
+  for (let i = 1; i < bounds.length; i++) {
+    const segment = linearFit(points, bounds[i - 1], bounds[i])
+    if (segment) {
+      segments.push(segment)
+    }
+  }
+
+  return {
+    fit,
+    breakpoints: splits.map(({ year, jump }) => ({ year, jump, nourishment: jump > 0 })),
+    segments,
+  }
+}
@@ -0,0 +1,72 @@
+/**
+ * utils/viewState.js
+ *
+ * Encode view state (zoom windows, modes, bounds, hidden series) as short
+ * route query values, e.g. `zoom=12.5,80` or `hide=MKL trend,1965`, and
+ * merge it into the current query without touching unrelated keys.
+ */
+
+function round (v, digits) {
+  const k = 10 ** digits
+  return Math.round(v * k) / k
+}
+
+/**
+ * Comma-separated numbers; empty items mean "not set". Returns an array
+ * of `length` numbers or nulls, or null when the value is absent or
+ * malformed.
+ */
+export function parseNumberList (value, length) {
+  if (typeof value !== 'string' || value === '') {
+    return null
+  }
+  const parts = value.split(',')
+  if (parts.length !== length) {
+    return null
+  }
+  const out = parts.map(p => (p.trim() === '' ? null : Number(p)))
+  return out.some(v => v != null && !Number.isFinite(v)) ? null : out
+}
+
+// Inverse of parseNumberList; undefined when nothing is set
+export function formatNumberList (values, digits = 2) {
+  if (!values || values.every(v => v == null || !Number.isFinite(v))) {
+    return undefined
+  }
+  return values.map(v => (v == null || !Number.isFinite(v) ? '' : String(round(v, digits)))).join(',')
+}
+
+export function parseNameList (value) {
+  return typeof value === 'string' && value !== '' ? value.split(',') : []
+}
+
+export function formatNameList (names) {
+  return names.length > 0 ? [...names].sort().join(',') : undefined
+}
+
+/**
+ * `query` with `patch` applied: undefined, null and '' remove a key.
+ * Keys not in `patch` are kept as they are.
+ */
+export function mergeQuery (query, patch) {
+  const out = { ...query }
+  for (const [key, value] of Object.entries(patch)) {
+    if (value == null || value === '') {
+      delete out[key]
+    } else {
+      out[key] = value
+    }
+  }
+  return out
+}
+
+// Same keys and values, ignoring order
+export function sameQuery (a, b) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)])
+  for (const key of keys) {
+    if (String(a[key] ?? '') !== String(b[key] ?? '')) {
+      return false
+    }
+  }
+  return true
+}
@@ -0,0 +1,110 @@
+/**
+ * utils/volume.js
+ *
+ * Sediment volume of a cross-shore profile between two elevation bounds,
+ * integrated over a cross-shore window (the same box the MKL is defined in).
+ */
+
+// Area under clamp(z, lo, hi) - lo along one straight profile segment
+function segmentArea (x0, z0, x1, z1, lo, hi) {
+  const dx = x1 - x0
+  if (dx <= 0) {
+    return 0
+  }
+
+  // Split where the segment crosses a bound so each piece is linear after clamping
+  const cuts = [0, 1]
+  for (const bound of [lo, hi]) {
+    if ((z0 - bound) * (z1 - bound) < 0) {
+      cuts.push((bound - z0) / (z1 - z0))
+    }
+  }
+  cuts.sort((a, b) => a - b)
+
+  const clamp = z => Math.min(hi, Math.max(lo, z)) - lo
+  let area = 0
+  for (let i = 1; i < cuts.length; i++) {
+    const za = clamp(z0 + (z1 - z0) * cuts[i - 1])
+    const zb = clamp(z0 + (z1 - z0) * cuts[i])
+    area += 0.5 * (za + zb) * (cuts[i] - cuts[i - 1]) * dx
+  }
+  return area
+}
+
+// Valid (x, z) pairs of a profile, sorted by cross-shore position
+export function profilePoints (crossShore, altitude) {
+  const points = []
+  const n = Math.min(crossShore?.length || 0, altitude?.length || 0)
+  for (let i = 0; i < n; i++) {
+    const z = altitude[i]
+    if (z != null && Number.isFinite(z)) {
+      points.push([crossShore[i], z])
+    }
+  }
+  return points.sort((a, b) => a[0] - b[0])
+}
+
+// Linear interpolation on sorted points; null outside the measured range
+export function interpolateAt (points, x) {
+  if (points.length === 0 || x < points[0][0] || x > points.at(-1)[0]) {
+    return null
+  }
+  let lo = 0
+  let hi = points.length - 1
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1
+    if (points[mid][0] <= x) {
+      lo = mid
+    } else {
+      hi = mid
+    }
+  }
+  const [x0, z0] = points[lo]
+  const [x1, z1] = points[hi]
+  return x1 === x0 ? z0 : z0 + (z1 - z0) * (x - x0) / (x1 - x0)
+}
+
+/**
+ * Volume (m³/m) of one profile inside [xMin, xMax] × [zLower, zUpper].
+ * Gaps inside the window are bridged linearly; returns null when the
+ * measured profile does not span the whole window.
+ */
+export function profileVolume (crossShore, altitude, { xMin, xMax, zLower, zUpper }) {
+  if (![xMin, xMax, zLower, zUpper].every(v => Number.isFinite(v)) || xMax <= xMin || zUpper <= zLower) {
+    return null
+  }
+
+  const points = profilePoints(crossShore, altitude)
+  const zStart = interpolateAt(points, xMin)
+  const zEnd = interpolateAt(points, xMax)
+  if (zStart == null || zEnd == null) {
+    return null
+  }
+
+  const inside = points.filter(([x]) => x > xMin && x < xMax)
+  const path = [[xMin, zStart], ...inside, [xMax, zEnd]]
+
+  let volume = 0
+  for (let i = 1; i < path.length; i++) {
+    volume += segmentArea(path[i - 1][0], path[i - 1][1], path[i][0], path[i][1], zLower, zUpper)
+  }
+  return volume
+}
+
+/**
+ * Volume for every year plus the change since the previous year that
+ * had a valid volume.
+ */
+export function volumeSeries (years, crossShore, altitudeByYear, bounds) {
+  const out = []
+  let previous = null
+  for (const [t, year] of (years || []).entries()) {
+    const volume = profileVolume(crossShore, altitudeByYear?.[t], bounds)
+    const change = volume != null && previous != null ? volume - previous : null
+    if (volume != null) {
+      previous = volume
+    }
+    out.push({ year, volume, change })
+  }
+  return out
+}
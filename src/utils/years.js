@@ -0,0 +1,143 @@
+/**
+ * utils/years.js
+ *
+ * Year selections as used in the `years` URL query: comma-separated terms
+ * whose union is selected.
+ *
+ *   1990          one year
+ *   1990-2020     inclusive range; either end may be left open (1990-, -2000)
+ *   1990-2020/5   every 5th year of the range, counted from its first year
+ *   every5        every 5th year of all surveys
+ *   last10        the 10 most recent surveys
+ *
+ * An empty selection (or "all") selects every year. "last N" and "everyN"
+ * depend on the years they are resolved against, so each chart resolves the
+ * selection against its own years (yearFilter).
+ */
+
+const TERM_PATTERNS = [
+  { kind: 'last', re: /^last(\d+)$/ },
+  { kind: 'every', re: /^every(\d+)$/ },
+  { kind: 'range', re: /^(\d{4})?-(\d{4})?(?:\/(\d+))?$/ },
+  { kind: 'year', re: /^(\d{4})$/ },
+]
+
+function parseTerm (term) {
+  for (const { kind, re } of TERM_PATTERNS) {
+    const m = term.match(re)
+    if (!m) {
+      continue
+    }
+    switch (kind) {
+      case 'last':
+      case 'every': {
+        const n = Number(m[1])
+        return n > 0 ? { kind, n } : null
+      }
+      case 'range': {
+        const from = m[1] ? Number(m[1]) : null
+        const to = m[2] ? Number(m[2]) : null
+        const step = m[3] ? Number(m[3]) : 1
+        if ((from == null && to == null && step === 1) || step < 1 || (from != null && to != null && from > to)) {
+          return null
+        }
+        return { kind, from, to, step }
+      }
+      default: {
+        return { kind, year: Number(m[1]) }
+      }
+    }
+  }
+  return null
+}
+
+/**
+ * Parse a selection string. Returns { terms, error }; `terms` is null when
+ * everything is selected, `error` names the first term that is not valid.
+ */
+export function parseYearSelection (text) {
+  const raw = String(text ?? '').replaceAll(/\s+/g, '').toLowerCase()
+  if (raw === '' || raw === 'all') {
+    return { terms: null, error: null }
+  }
+  const terms = []
+  for (const part of raw.split(',').filter(Boolean)) {
+    const term = parseTerm(part)
+    if (!term) {
+      return { terms: null, error: `Not a year selection: "${part}"` }
+    }
+    terms.push(term)
+  }
+  return { terms, error: null }
+}
+
+/**
+ * Labels of `years` picked by parsed terms, as a Set; null when every year
+ * is selected. Labels that are not years are only kept by "last N".
+ */
+export function selectYears (terms, years) {
+  if (!terms) {
+    return null
+  }
+  const labels = (years || []).filter(label => label !== '')
+  const numeric = labels.map(Number)
+  const first = Math.min(...numeric.filter(y => Number.isFinite(y)))
+
+  const picked = new Set()
+  for (const term of terms) {
+    switch (term.kind) {
+      case 'last': {
+        for (const label of labels.slice(-term.n)) {
+          picked.add(label)
+        }
+        break
+      }
+      case 'every': {
+        for (const [i, y] of numeric.entries()) {
+          if ((y - first) % term.n === 0) {
+            picked.add(labels[i])
+          }
+        }
+        break
+      }
+      case 'range': {
+        const start = term.from ?? first
+        for (const [i, y] of numeric.entries()) {
+          if (y >= start && (term.to == null || y <= term.to) && (y - start) % term.step === 0) {
+            picked.add(labels[i])
+          }
+        }
+        break
+      }
+      default: {
+        for (const [i, y] of numeric.entries()) {
+          if (y === term.year) {
+            picked.add(labels[i])
+          }
+        }
+      }
+    }
+  }
+  return picked
+}
+
+/**
+ * Predicate for the labels of one chart: true when `label` is picked by
+ * `terms` resolved against that chart's `years`, or when every year is
+ * selected.
+ */
+export function yearFilter (terms, years) {
+  const picked = selectYears(terms, years)
+  return label => !picked || picked.has(label)
+}
+
+// Ready-made selections offered next to the free-text field
+export const YEAR_PRESETS = [
+  { title: 'All years', value: '' },
+  { title: 'Last 5 surveys', value: 'last5' },
+  { title: 'Last 10 surveys', value: 'last10' },
+  { title: 'Every 5th year', value: 'every5' },
+  { title: 'Every 10th year', value: 'every10' },
+  { title: 'Since 2000', value: '2000-' },
+  { title: 'Decades since 1970', value: '1970-/10' },
+]
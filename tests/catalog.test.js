@@ -0,0 +1,72 @@
+import { describe, expect, it } from 'vitest'
+import { catalogRows, describeCatalogFilter, emptyCatalogFilter, filterCatalog } from '@/utils/catalog'
+import { catalogAttributes, catalogDataset, toCsv } from '@/utils/export'
+
+const STORE = {
+  idList: [7_003_800, 7_003_900, 8_009_325, 9_010_000],
+  alongshoreList: [380, 390, 932.5, null],
+  areacodeList: [7, 7, 8, 9],
+  areanameList: ['Noord-Holland   ', 'Noord-Holland   ', 'Rijnland', 'Delfland'],
+  rspXList: [104_412.3, 104_760.8, 91_212.7, 79_218.4],
+  rspYList: [521_871.9, 522_846.2, 478_603.1, 461_442.6],
+  rspLatList: [52.6321, 52.6409, 52.2412, 52.0914],
+  rspLonList: [4.6253, 4.6301, 4.4318, 4.2587],
+  meanLowWaterList: [-0.78, -0.78, -0.71, Number.NaN],
+  meanHighWaterList: [1.02, 1.02, 0.98, 0.95],
+}
+
+const ids = rows => rows.map(row => row.id)
+
+describe('catalogRows', () => {
+  it('builds one row per transect with alongshore in metres', () => {
+    const rows = catalogRows(STORE)
+    expect(rows).toHaveLength(4)
+    expect(rows[2]).toMatchObject({ index: 2, id: 8_009_325, areacode: 8, areaname: 'Rijnland', alongshore: 9325 })
+    expect(rows[0].areaname).toBe('Noord-Holland')
+    expect(rows[3].alongshore).toBeNull()
+    expect(rows[3].meanLowWater).toBeNull()
+  })
+
+  it('tolerates lists that are not loaded yet', () => {
+    expect(catalogRows({ idList: [1] })[0]).toMatchObject({ id: 1, areacode: null, areaname: '', meanHighWater: null })
+    expect(catalogRows({})).toEqual([])
+  })
+})
+
+describe('filterCatalog', () => {
+  const rows = catalogRows(STORE)
+
+  it('keeps everything without filters', () => {
+    expect(filterCatalog(rows, emptyCatalogFilter())).toHaveLength(4)
+  })
+
+  it('filters by area and inclusive ranges', () => {
+    expect(ids(filterCatalog(rows, { areas: [7, 9] }))).toEqual([7_003_800, 7_003_900, 9_010_000])
+    expect(ids(filterCatalog(rows, { alongshore: [3850, null] }))).toEqual([7_003_900, 8_009_325])
+    expect(ids(filterCatalog(rows, { meanHighWater: [null, 0.98] }))).toEqual([8_009_325, 9_010_000])
+  })
+
+  it('drops rows without a value when a range is set', () => {
+    expect(ids(filterCatalog(rows, { meanLowWater: [-1, 0] }))).toEqual([7_003_800, 7_003_900, 8_009_325])
+  })
+
+  it('describes the set filters', () => {
+    expect(describeCatalogFilter(emptyCatalogFilter())).toBe('')
+    expect(describeCatalogFilter({ areas: [9, 7], alongshore: [1000, null], meanHighWater: [0.9, 1] }))
+      .toBe('area 7, 9; alongshore ≥ 1000 m; MHW 0.9 to 1 m NAP')
+  })
+})
+
+describe('catalog export', () => {
+  it('writes one CSV row per transect with the filter as metadata', () => {
+    const rows = filterCatalog(catalogRows(STORE), { areas: [8, 9] })
+    const csv = toCsv(catalogDataset({ attributes: catalogAttributes('Catalog', ['https://example.org/transect.nc'], 'area 8, 9'), rows }))
+    const lines = csv.trim().split('\n')
+    expect(lines).toContain('# filter: area 8, 9')
+    expect(lines.filter(line => !line.startsWith('#'))).toEqual([
+      'id,areacode,areaname,alongshore (m),rsp_x (m),rsp_y (m),rsp_lat (degrees_north),rsp_lon (degrees_east),mean_low_water (m),mean_high_water (m)',
+      '8009325,8,Rijnland,9325,91212.7,478603.1,52.2412,4.4318,-0.71,0.98',
+      '9010000,9,Delfland,,79218.4,461442.6,52.0914,4.2587,,0.95',
+    ])
+  })
+})
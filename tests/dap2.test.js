@@ -0,0 +1,131 @@
+import { readFileSync } from 'node:fs'
+import { dirname, join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { DapError, decodeCfTime, decodeDods, fetchDap2, parseDas, parseDds, unpackValues } from '@/utils/dap2'
+
+const FIXTURES = join(dirname(fileURLToPath(import.meta.url)), 'fixtures')
+
+// thredds-grid.dods is written byte by byte after the DAP2 spec: Int32 and String
+// arrays (strings of 13 and 5 bytes, so both padded) and a Float32 Grid with its maps
+function binaryFixture (name) {
+  const bytes = readFileSync(join(FIXTURES, name))
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength)
+}
+
+function textFixture (name) {
+  return readFileSync(join(FIXTURES, name), 'utf8')
+}
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+describe('parseDds', () => {
+  it('reads base types, dimensions and grids', () => {
+    const dds = parseDds(textFixture('thredds-grid.dds'))
+    expect(dds.name).toBe('rijkswaterstaat/jarkus/profiles/transect.nc')
+    expect(dds.variables[0]).toEqual({ kind: 'base', type: 'float64', name: 'cross_shore', dims: [{ name: 'cross_shore', size: 4 }] })
+    const grid = dds.variables[1]
+    expect(grid.kind).toBe('grid')
+    expect(grid.array.dims.map(d => d.size)).toEqual([3, 1, 4])
+    expect(grid.maps.map(map => map.name)).toEqual(['time', 'alongshore', 'cross_shore'])
+  })
+
+  it('throws the message of an error document', () => {
+    expect(() => parseDds('Error {\n    code = 404;\n    message = "No such \\"file\\"";\n};')).toThrow(new DapError('No such "file"'))
+  })
+})
+
+describe('parseDas', () => {
+  it('reads typed attributes, lists and nested containers', () => {
+    const das = parseDas(textFixture('thredds-grid.das'))
+    expect(das.altitude._FillValue).toBe(-9999)
+    expect(das.altitude.valid_range).toEqual([-100, 100])
+    expect(das.altitude.long_name).toBe('altitude above "NAP"')
+    expect(das.time.units).toBe('days since 1970-01-01 00:00:00 +00:00')
+    expect(das.NC_GLOBAL.title).toBe('JARKUS profiles')
+  })
+})
+
+describe('decodeDods', () => {
+  it('decodes Int32, String, Float32 and Float64 arrays and grid maps', () => {
+    const { dds, variables } = decodeDods(binaryFixture('thredds-grid.dods'))
+    expect(dds.variables).toHaveLength(3)
+
+    expect(variables.id.data).toBeInstanceOf(Int32Array)
+    expect([...variables.id.data]).toEqual([7_003_800, -1])
+    // Padding after each string keeps the next one aligned
+    expect(variables.areaname.data).toEqual(['Noord-Holland', 'Texel'])
+
+    const altitude = variables.altitude
+    expect(altitude.type).toBe('float32')
+    expect(altitude.dims).toEqual(['time', 'alongshore', 'cross_shore'])
+    expect(altitude.shape).toEqual([2, 2, 3])
+    expect([...altitude.data]).toEqual([3.5, 1.25, -9999, 3.25, 1, -0.5, -9999, 0.75, -0.25, 150, 0.5, -1.5])
+
+    expect([...variables.time.data]).toEqual([-1645, 181])
+    expect([...variables.alongshore.data]).toEqual([0, 1])
+    expect([...variables.cross_shore.data]).toEqual([-10, 0, 10])
+  })
+
+  it('rejects a body without a data section', () => {
+    const text = new TextEncoder().encode(textFixture('thredds-grid.dds'))
+    expect(() => decodeDods(text.buffer)).toThrow(/no "Data:" marker/)
+    const error = new TextEncoder().encode('Error {\n    code = 400;\n    message = "Bad constraint";\n};')
+    expect(() => decodeDods(error.buffer)).toThrow('Bad constraint')
+  })
+
+  it('throws on a corrupt sequence', () => {
+    const head = new TextEncoder().encode('Dataset {\n    Sequence {\n        Int32 a;\n    } s;\n} x;\nData:\n')
+    const body = new Uint8Array(head.length + 4)
+    body.set(head)
+    new DataView(body.buffer).setUint32(head.length, 0x12_34_56_78)
+    expect(() => decodeDods(body.buffer)).toThrow(/Corrupt sequence "s"/)
+  })
+})
+
+describe('unpackValues', () => {
+  it('masks fill values and values outside the valid range', () => {
+    const data = Float32Array.from([3.5, -9999, 150, -0.25])
+    const values = unpackValues(data, 'float32', { _FillValue: -9999, valid_range: [-100, 100] })
+    expect([...values]).toEqual([3.5, Number.NaN, Number.NaN, -0.25])
+  })
+
+  it('compares float32 data with the rounded fill value', () => {
+    const values = unpackValues(Float32Array.from([9.969_209_968_386_869e36, 1]), 'float32', { _FillValue: 9.969_209_968_386_869e36 })
+    expect([...values]).toEqual([Number.NaN, 1])
+  })
+
+  it('applies scale_factor and add_offset after masking', () => {
+    const values = unpackValues(Int16Array.from([10, -32_767, 20]), 'int16', { missing_value: -32_767, scale_factor: 0.5, add_offset: 1 })
+    expect([...values]).toEqual([6, Number.NaN, 11])
+  })
+})
+
+describe('decodeCfTime', () => {
+  it('converts CF units to epoch milliseconds', () => {
+    expect(decodeCfTime([-1645, 181], 'days since 1970-01-01 00:00:00 +00:00')).toEqual([Date.UTC(1965, 6, 1), Date.UTC(1970, 6, 1)])
+    expect(decodeCfTime([1], 'hours since 2000-01-01T06:00:00Z')).toEqual([Date.UTC(2000, 0, 1, 7)])
+    expect(decodeCfTime([0], 'seconds since 2000-01-01 00:00 +01:00')).toEqual([Date.UTC(1999, 11, 31, 23)])
+  })
+
+  it('keeps missing values as null and rejects unknown units', () => {
+    expect(decodeCfTime([Number.NaN], 'days since 1970-01-01')).toEqual([null])
+    expect(decodeCfTime([1], 'fortnights since 1970-01-01')).toBeNull()
+    expect(decodeCfTime([1], undefined)).toBeNull()
+  })
+})
+
+describe('fetchDap2', () => {
+  it('attaches the DAS attributes and unpacks the values', async () => {
+    vi.stubGlobal('fetch', async url => (url.endsWith('.das')
+      ? new Response(textFixture('thredds-grid.das'))
+      : new Response(binaryFixture('thredds-grid.dods'))))
+    const { variables } = await fetchDap2('http://test/transect.nc', 'altitude[0:1:1][0:1:1][0:1:2]')
+
+    expect(variables.altitude.attributes.units).toBe('m')
+    expect([...variables.altitude.values]).toEqual([3.5, 1.25, Number.NaN, 3.25, 1, -0.5, Number.NaN, 0.75, -0.25, Number.NaN, 0.5, -1.5])
+    expect(variables.areaname.values).toBeUndefined()
+  })
+})
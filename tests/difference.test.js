@@ -0,0 +1,42 @@
+import { describe, expect, it } from 'vitest'
+import { profileDifference } from '@/utils/difference'
+
+const CROSS_SHORE = [0, 10, 20, 30, 40]
+
+describe('profileDifference', () => {
+  it('interpolates surveys with different extents onto their overlap', () => {
+    // A is measured at x = 0 and 30 only, B at x = 10 and 40: they overlap on 10–30
+    const a = [2, null, null, 2, null]
+    const b = [null, 4, null, null, 0]
+    const diff = profileDifference(CROSS_SHORE, a, b)
+
+    expect(diff.xMin).toBe(10)
+    expect(diff.xMax).toBe(30)
+    expect(diff.points.map(p => p.x)).toEqual([10, 20, 30])
+    expect(diff.points.map(p => p.za)).toEqual([2, 2, 2])
+    // B falls 4/30 m per metre from 4 at x = 10
+    const dz = [2, 2 / 3, -2 / 3]
+    for (const [i, point] of diff.points.entries()) {
+      expect(point.zb - 2).toBeCloseTo(dz[i], 12)
+      expect(point.dz).toBeCloseTo(dz[i], 12)
+    }
+
+    // 10–20: (2 + 2/3) / 2 × 10 = 40/3 gained; 20–30 crosses zero at x = 25,
+    // ±½ × 2/3 × 5 = ±5/3 on either side
+    expect(diff.accretion).toBeCloseTo(15, 12)
+    expect(diff.erosion).toBeCloseTo(-5 / 3, 12)
+    expect(diff.net).toBeCloseTo(40 / 3, 12)
+  })
+
+  it('keeps the grid points inside the overlap', () => {
+    const diff = profileDifference(CROSS_SHORE, [1, 1, 1, 1, 1], [null, 0, 0, 0, 0])
+    expect(diff.points.map(p => p.x)).toEqual([10, 20, 30, 40])
+    expect(diff.erosion).toBeCloseTo(-30, 12)
+    expect(diff.accretion).toBe(0)
+  })
+
+  it('returns null when the surveys do not overlap', () => {
+    expect(profileDifference(CROSS_SHORE, [1, 1, null, null, null], [null, null, 1, 1, 1])).toBeNull()
+    expect(profileDifference(CROSS_SHORE, [1, null, null, null, null], [1, 1, 1, 1, 1])).toBeNull()
+  })
+})
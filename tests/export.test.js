@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest'
+import { toCsv, yearSeriesDataset } from '@/utils/export'
+
+describe('yearSeriesDataset', () => {
+  const variables = [{ name: 'mean_high_water_cross', longName: 'MHW cross-shore position', units: 'm', data: [101.5, 102, null] }]
+
+  it('writes one row per year label without dates', () => {
+    const dataset = yearSeriesDataset({ attributes: {}, years: ['1990', '1991', '1992'], variables })
+    expect(Object.keys(dataset.variables)).toEqual(['year', 'mean_high_water_cross'])
+    expect(dataset.variables.year.data).toEqual([1990, 1991, 1992])
+  })
+
+  it('adds CF time and ISO dates for several time steps in one year', () => {
+    const times = [Date.UTC(1990, 3, 1), Date.UTC(1990, 9, 1, 12), null]
+    const dataset = yearSeriesDataset({ attributes: {}, years: ['1990', '1990', '1991'], times, variables })
+    expect(dataset.dimensions).toEqual({ time: 3 })
+    expect(dataset.variables.time.attributes.units).toBe('days since 1970-01-01 00:00:00')
+    expect(dataset.variables.time.data).toEqual([7395, 7578.5, null])
+    expect(dataset.variables.date.data).toEqual(['1990-04-01', '1990-10-01', null])
+
+    const rows = toCsv(dataset).trim().split('\n')
+    expect(rows[0]).toBe('year,time (days since 1970-01-01 00:00:00),date,mean_high_water_cross (m)')
+    expect(rows.slice(1)).toEqual(['1990,7395,1990-04-01,101.5', '1990,7578.5,1990-10-01,102', '1991,,,'])
+  })
+})
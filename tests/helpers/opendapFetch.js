@@ -0,0 +1,90 @@
+import { readFileSync } from 'node:fs'
+import { dirname, join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { OPENDAP_BASE_URL } from '@/utils/config'
+import { renderAscii, renderDas, renderDds, renderDods, renderError } from '../../mock/opendap.js'
+
+const ETAG = '"fixture-v1"'
+const FIXTURES = join(dirname(fileURLToPath(import.meta.url)), '../../mock/fixtures')
+
+function loadFixture (path) {
+  return JSON.parse(readFileSync(join(FIXTURES, `${path}.json`), 'utf8'))
+}
+
+function abortError () {
+  return new DOMException('The operation was aborted.', 'AbortError')
+}
+
+/**
+ * `fetch` stand-in answering from the mock server fixtures (mock/opendap.js)
+ * for the configured base URL, binary `.dods` included. Options:
+ *   fail      { ext: status } to fail every request of one kind ('dds', 'dods', 'ascii');
+ *             { dods: 501 } sends every data request down the ASCII fallback
+ *   probe     time size to report in the error for `time[0:1:9999]`
+ *   delay     ms before answering; an abort in that time rejects
+ * `calls` lists every requested URL. `hold()` keeps every request made
+ * from then on unanswered until the function it returns is called (an
+ * abort in that time rejects).
+ */
+export function opendapFetch ({ fail = {}, probe = null, delay = 0 } = {}) {
+  const calls = []
+  let held = null
+  const fetch = async (url, { signal, headers = {} } = {}) => {
+    calls.push(url)
+    if (delay > 0 || held) {
+      const gate = held
+      await new Promise((resolve, reject) => {
+        const timer = gate ? null : setTimeout(resolve, delay)
+        gate?.then(resolve)
+        signal?.addEventListener('abort', () => {
+          clearTimeout(timer)
+          reject(abortError())
+        })
+      })
+    }
+    if (signal?.aborted) {
+      throw abortError()
+    }
+
+    const [, path, ext, query = ''] = url.slice(OPENDAP_BASE_URL.length + 1).match(/^(.+\.nc)\.(\w+)\??(.*)$/)
+    const text = (body, status = 200) => new Response(body, { status, headers: { ETag: ETAG } })
+    if (fail[ext]) {
+      return text(renderError('Injected failure', fail[ext]), fail[ext])
+    }
+    if (probe && query === 'time[0:1:9999]') {
+      return text(renderError(`Invalid constraint for time: stop >= size: 9999: ${probe}`, 400), 400)
+    }
+    if (headers['If-None-Match'] === ETAG) {
+      return new Response(null, { status: 304, headers: { ETag: ETAG } })
+    }
+
+    const fixture = loadFixture(path)
+    const name = path.split('/').at(-1)
+    switch (ext) {
+      case 'dds': {
+        return text(renderDds(fixture, query, name))
+      }
+      case 'das': {
+        return text(renderDas(fixture))
+      }
+      case 'dods': {
+        return text(renderDods(fixture, query, name))
+      }
+      default: {
+        return text(renderAscii(fixture, query, name))
+      }
+    }
+  }
+  function hold () {
+    let release
+    held = new Promise(resolve => {
+      release = resolve
+    })
+    return () => {
+      held = null
+      release()
+    }
+  }
+
+  return { fetch, calls, hold }
+}
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest'
+import { compareDuneFoot, indicatorSeries, profileIndicators, seawardCrossing } from '@/utils/indicators'
+
+// Dune crest at -60 m, a dune valley landward of it, beach down to a trough and a bar
+const CROSS_SHORE = [-100, -80, -60, -40, -20, 0, 20, 40, 60, 80, 100]
+const PROFILE = [4, 2, 12, 8, 4, 2, 1, 0, -1, -0.5, -2]
+const LEVELS = { duneFootLevel: 3, meanHighWater: 1, meanLowWater: -0.8 }
+
+describe('seawardCrossing', () => {
+  const points = CROSS_SHORE.map((x, i) => [x, PROFILE[i]])
+
+  it('interpolates the first downward crossing seaward of a position', () => {
+    expect(seawardCrossing(points, 3, -60)).toBe(-10)
+    expect(seawardCrossing(points, 3, -100)).toBe(-90)
+  })
+
+  it('returns null without a crossing or a level', () => {
+    expect(seawardCrossing(points, 20, -100)).toBeNull()
+    expect(seawardCrossing(points, null, -100)).toBeNull()
+  })
+})
+
+describe('profileIndicators', () => {
+  it('derives dune, water line and beach indicators', () => {
+    const out = profileIndicators(CROSS_SHORE, PROFILE, LEVELS)
+    expect(out.duneCrest).toBe(12)
+    expect(out.duneCrestX).toBe(-60)
+    expect(out.duneFoot).toBe(-10)
+    expect(out.mhwCross).toBe(20)
+    // Not the trough behind the bar at 80 m
+    expect(out.mlwCross).toBeCloseTo(56)
+    expect(out.beachWidth).toBeCloseTo(66)
+    expect(out.beachSlope).toBeCloseTo(1.8 / 36)
+  })
+
+  it('leaves out what the profile does not cover', () => {
+    const out = profileIndicators(CROSS_SHORE.slice(0, 6), [4, 2, 12, 8, null, 2], { ...LEVELS, meanLowWater: null })
+    expect(out.duneFoot).toBeCloseTo(-20 / 3)
+    expect(out.mhwCross).toBeNull()
+    expect(out.beachWidth).toBeNull()
+    expect(out.beachSlope).toBeNull()
+  })
+
+  it('has no dune foot below a crest lower than the level', () => {
+    expect(profileIndicators([0, 10], [2, 0], LEVELS).duneFoot).toBeNull()
+    expect(profileIndicators([], [], LEVELS).duneCrest).toBeNull()
+  })
+})
+
+describe('compareDuneFoot', () => {
+  it('compares the survey years both series have', () => {
+    const rows = indicatorSeries(['1965', '1970', '1975'], CROSS_SHORE, [PROFILE, PROFILE, null], LEVELS)
+    const comparison = compareDuneFoot(rows, ['1965', '1966', '1970', '1975'], [-12, -11, -6, -5])
+    expect(comparison.years).toEqual(['1965', '1970'])
+    expect(comparison.meanDifference).toBeCloseTo(-1)
+    expect(comparison.rmsDifference).toBeCloseTo(Math.sqrt(10))
+  })
+
+  it('returns null without common years', () => {
+    expect(compareDuneFoot([{ year: '1965', duneFoot: 1 }], ['1966'], [1])).toBeNull()
+  })
+})
@@ -0,0 +1,327 @@
+import { readFileSync } from 'node:fs'
+import { dirname, join } from 'node:path'
+import { fileURLToPath } from 'node:url'
+import { describe, expect, it } from 'vitest'
+import { DATASET_REGISTRY } from '@/stores/app'
+import { altitudeBlockFromAscii, altitudeBlockFromDap2, altitudeFromDap2, areaSeriesFromAscii, areaSeriesRecords, capturePayloadBlock, CATALOG_READERS, parseOpendapAscii, parseTimeDimensionFromDds, parseTimeSizeFromError, payloadShape, stripOpendapIndices, tokenizeNumbers, tokenizeNumbersKeepNaN, toTimestamps, toYearLabels, yearSeriesFromAscii, yearSeriesFromDap2 } from '@/utils/parsers'
+
+const FIXTURES = join(dirname(fileURLToPath(import.meta.url)), 'fixtures')
+
+// Responses rendered by the mock server code (mock/opendap.js), so they check the parsers only
+// against that renderer; the thredds-grid.* files are written by hand after the THREDDS Grid layout
+function fixture (name) {
+  return readFileSync(join(FIXTURES, name), 'utf8')
+}
+
+// Minimal .ascii response around hand-written payload blocks
+function ascii (...blocks) {
+  return ['Dataset {', '    Float64 time[time = 2];', '} test.nc;', '-'.repeat(45), ...blocks].join('\n')
+}
+
+describe('capturePayloadBlock', () => {
+  it('skips the DDS preamble and stops at the next header', () => {
+    const text = fixture('thredds-grid.ascii')
+    expect(capturePayloadBlock(text, 'time').trim()).toBe('-1645.0, 181.0, 18444.0')
+    expect(capturePayloadBlock(text, 'cross_shore').trim()).toBe('-10.0, 0.0, 10.0, 20.0')
+  })
+
+  it('matches grid-qualified headers', () => {
+    const block = capturePayloadBlock(fixture('thredds-grid.ascii'), 'altitude')
+    expect(block.trim().split('\n')).toHaveLength(3)
+    expect(block).not.toContain('3800')
+  })
+
+  it('returns an empty string for a missing variable or response', () => {
+    expect(capturePayloadBlock(fixture('thredds-grid.ascii'), 'areaname')).toBe('')
+    expect(capturePayloadBlock('', 'time')).toBe('')
+    expect(capturePayloadBlock(null, 'time')).toBe('')
+  })
+
+  it('handles CRLF line endings and a missing separator', () => {
+    expect(capturePayloadBlock('time[2]\r\n1965, 1970\r\n', 'time').trim()).toBe('1965, 1970')
+  })
+})
+
+describe('payloadShape', () => {
+  it('reads the sizes from the payload header', () => {
+    expect(payloadShape(fixture('thredds-grid.ascii'), 'altitude')).toEqual([3, 1, 4])
+    expect(payloadShape(fixture('thredds-grid.ascii'), 'missing')).toEqual([])
+  })
+})
+
+describe('tokenizers', () => {
+  it('strips row indices before tokenizing', () => {
+    expect(tokenizeNumbers(stripOpendapIndices('[0][0], 1.5, -2\n[1][0], 3e2, .5'))).toEqual([1.5, -2, 300, 0.5])
+  })
+
+  it('drops NaN, or keeps it as null', () => {
+    expect(tokenizeNumbers('1, NaN, 2')).toEqual([1, 2])
+    expect(tokenizeNumbersKeepNaN('1, NaN, nan, 2')).toEqual([1, null, null, 2])
+  })
+})
+
+describe('toTimestamps', () => {
+  it('takes calendar years as 1 January and other values as days since 1970', () => {
+    expect(toTimestamps([1965, 1970.5])).toEqual([Date.UTC(1965, 0, 1), Date.UTC(1970, 0, 1)])
+    expect(toTimestamps([-1645, 181])).toEqual([Date.UTC(1965, 6, 1), Date.UTC(1970, 6, 1)])
+  })
+
+  it('keeps missing values as null', () => {
+    expect(toTimestamps([0, null, Number.NaN])).toEqual([0, null, null])
+  })
+})
+
+describe('toYearLabels', () => {
+  it('keeps calendar years', () => {
+    expect(toYearLabels([1965, 1970.5])).toEqual(['1965', '1970'])
+  })
+
+  it('reads other values as days since 1970', () => {
+    expect(toYearLabels([-1645, 181, 18_444])).toEqual(['1965', '1970', '2020'])
+  })
+
+  it('returns no labels for no values', () => {
+    expect(toYearLabels([])).toEqual([])
+    expect(toYearLabels(null)).toEqual([])
+  })
+})
+
+describe('parseOpendapAscii', () => {
+  it('parses a mock profile response', () => {
+    const parsed = parseOpendapAscii(fixture('transect-altitude.ascii'))
+    expect(parsed.years).toHaveLength(12)
+    expect(parsed.years[0]).toBe('1965')
+    expect(parsed.years.at(-1)).toBe('2020')
+    expect(parsed.crossShore).toHaveLength(121)
+    expect(parsed.altitudeByYear).toHaveLength(12)
+    expect(parsed.altitudeByYear.every(row => row.length === 121)).toBe(true)
+    // The first survey has no data beyond 600 m (written as -9999)
+    expect(parsed.altitudeByYear[0].at(-1)).toBeNull()
+    expect(parsed.altitudeByYear[1].at(-1)).toBeTypeOf('number')
+    expect(parsed.times[0]).toBe(Date.UTC(1965, 6, 1))
+    // Survey dates per profile; the first survey has no bathymetry
+    expect(parsed.topoDates).toHaveLength(12)
+    expect(parsed.topoDates[0]).toBe(Date.UTC(1965, 2, 13))
+    expect(parsed.bathyDates[0]).toBeNull()
+    expect(parsed.bathyDates[1]).toBeTypeOf('number')
+  })
+
+  it('leaves the survey dates null when the response has none', () => {
+    const parsed = parseOpendapAscii(fixture('thredds-grid.ascii'))
+    expect(parsed.topoDates).toEqual([null, null, null])
+    expect(parsed.bathyDates).toEqual([null, null, null])
+  })
+
+  it('maps -9999 to null in a THREDDS Grid response', () => {
+    const parsed = parseOpendapAscii(fixture('thredds-grid.ascii'))
+    expect(parsed.crossShore).toEqual([-10, 0, 10, 20])
+    expect(parsed.altitudeByYear).toEqual([
+      [3.5, 1.25, null, -1.1],
+      [3.6, 1, -0.2, -1.3],
+      [null, 0.9, -0.3, -1.5],
+    ])
+  })
+
+  it('reads NaN in the altitude payload as null', () => {
+    const parsed = parseOpendapAscii(ascii(
+      'cross_shore[3]', '0, 10, 20', '',
+      'time[2]', '1965, 1970', '',
+      'altitude[2][1][3]', '[0][0], 1, NaN, 3', '[1][0], 4, 5, 6', '',
+    ))
+    expect(parsed.altitudeByYear).toEqual([[1, null, 3], [4, 5, 6]])
+  })
+
+  it('transposes a [cross_shore][time] layout', () => {
+    const parsed = parseOpendapAscii(ascii(
+      'cross_shore[3]', '0, 10, 20', '',
+      'time[2]', '1965, 1970', '',
+      'altitude[3][2]', '[0], 1, 2', '[1], 3, 4', '[2], 5, 6', '',
+    ))
+    expect(parsed.altitudeByYear).toEqual([[1, 3, 5], [2, 4, 6]])
+  })
+
+  it('rejects a payload of the wrong size', () => {
+    expect(() => parseOpendapAscii(ascii(
+      'cross_shore[3]', '0, 10, 20', '',
+      'time[2]', '1965, 1970', '',
+      'altitude[2][1][3]', '[0][0], 1, 2, 3', '[1][0], 4, 5', '',
+    ))).toThrow('Altitude size mismatch: got 5, expected 2×3=6.')
+  })
+
+  it('explains which arrays are missing', () => {
+    expect(() => parseOpendapAscii(ascii('time[1]', '1965', ''))).toThrow(/cross_shore\/time/)
+    expect(() => parseOpendapAscii(ascii('cross_shore[1]', '0', '', 'time[1]', '1965', ''))).toThrow(/altitude array/)
+  })
+})
+
+describe('yearSeriesFromAscii', () => {
+  const bkl = DATASET_REGISTRY.bkl
+
+  it('parses a mock series with fill values as null', () => {
+    const parsed = yearSeriesFromAscii(bkl, fixture('bkl-series.ascii'))
+    expect(parsed.years).toHaveLength(56)
+    expect(parsed.basalCoastline).toHaveLength(56)
+    expect(new Set(parsed.basalCoastline).size).toBe(1)
+    // The TKL starts in 2001
+    const firstTkl = parsed.testingCoastline.findIndex(v => v != null)
+    expect(parsed.years[firstTkl]).toBe('2001')
+  })
+
+  it('maps NaN and -9999 to null and leaves missing optional variables empty', () => {
+    const parsed = yearSeriesFromAscii(bkl, ascii('time[3]', '1965, 1966, 1967', '', 'basal_coastline[3][1]', '[0], 12.5', '[1], NaN', '[2], -9999', ''))
+    expect(parsed).toEqual({ years: ['1965', '1966', '1967'], times: [Date.UTC(1965, 0, 1), Date.UTC(1966, 0, 1), Date.UTC(1967, 0, 1)], basalCoastline: [12.5, null, null], testingCoastline: [] })
+  })
+
+  it('throws when a required variable is missing', () => {
+    expect(() => yearSeriesFromAscii(bkl, ascii('time[1]', '1965', ''))).toThrow(/basal_coastline/)
+  })
+})
+
+describe('areaSeriesFromAscii', () => {
+  it('reshapes a hyperslab response to [time][transect]', () => {
+    const parsed = areaSeriesFromAscii(DATASET_REGISTRY.mhw, 3, fixture('mhw-area.ascii'))
+    expect(parsed.years).toHaveLength(56)
+    expect(parsed.meanHighWaterCross).toHaveLength(56)
+    expect(parsed.meanHighWaterCross.every(row => row.length === 3)).toBe(true)
+  })
+
+  it('rejects a response for another number of transects', () => {
+    expect(() => areaSeriesFromAscii(DATASET_REGISTRY.mhw, 4, fixture('mhw-area.ascii'))).toThrow(/for 4 transects/)
+  })
+
+  it('splits into one record per transect', () => {
+    const area = areaSeriesFromAscii(DATASET_REGISTRY.mhw, 3, fixture('mhw-area.ascii'))
+    const records = areaSeriesRecords(DATASET_REGISTRY.mhw, area, 3)
+    expect(records).toHaveLength(3)
+    expect(records[2].years).toBe(area.years)
+    expect(records[2].meanHighWaterCross).toEqual(area.meanHighWaterCross.map(row => row[2]))
+  })
+})
+
+describe('altitudeBlockFromAscii', () => {
+  it('reads a single transect like parseOpendapAscii', () => {
+    const ascii = fixture('transect-altitude.ascii')
+    expect(altitudeBlockFromAscii(1, ascii)).toEqual([parseOpendapAscii(ascii)])
+  })
+
+  it('reads NaN and fill values as null in the same cells as parseOpendapAscii', () => {
+    const text = ascii(
+      'cross_shore[3]', '0, 10, 20', '',
+      'time[3]', '1965, 1970, 1975', '',
+      'altitude[3][1][3]', '[0][0], NaN, 2, -9999', '[1][0], 4, nan, 6', '[2][0], -9999, NaN, 9', '',
+    )
+    const expected = [[null, 2, null], [4, null, 6], [null, null, 9]]
+    expect(parseOpendapAscii(text).altitudeByYear).toEqual(expected)
+    expect(altitudeBlockFromAscii(1, text)[0].altitudeByYear).toEqual(expected)
+    expect(altitudeBlockFromAscii(1, text)).toEqual([parseOpendapAscii(text)])
+  })
+
+  it('rejects a response for another number of transects', () => {
+    expect(() => altitudeBlockFromAscii(2, fixture('transect-altitude.ascii'))).toThrow(/size mismatch/)
+  })
+})
+
+describe('catalog readers', () => {
+  const text = fixture('transect-catalog.ascii')
+
+  it('reads ids, areas and RSP coordinates', () => {
+    expect(CATALOG_READERS.ids.fromAscii(text)).toEqual([7_003_800, 7_003_900, 7_004_000, 8_009_325, 8_009_400, 9_010_000])
+    const area = CATALOG_READERS.area.fromAscii(text)
+    expect(area.codes).toEqual([7, 7, 7, 8, 8, 9])
+    expect(area.names).toEqual(['Noord-Holland', 'Noord-Holland', 'Noord-Holland', 'Rijnland', 'Rijnland', 'Delfland'])
+    expect(CATALOG_READERS.rsp.fromAscii(text).x).toHaveLength(6)
+  })
+
+  it('keeps NaN water levels as null', () => {
+    const water = CATALOG_READERS.water.fromAscii(ascii('mean_high_water[2]', '1.02, NaN', '', 'mean_low_water[2]', '-0.78, -0.7', ''))
+    expect(water).toEqual({ high: [1.02, null], low: [-0.78, -0.7] })
+  })
+})
+
+describe('time dimension', () => {
+  it('reads the size from a DDS', () => {
+    expect(parseTimeDimensionFromDds(fixture('transect.dds'))).toBe(12)
+    expect(parseTimeDimensionFromDds(fixture('thredds-grid.dds'))).toBe(3)
+  })
+
+  it('returns null for a DDS without time or a broken document', () => {
+    expect(parseTimeDimensionFromDds('Dataset {\n    Int32 id[alongshore = 6];\n} t.nc;')).toBeNull()
+    expect(parseTimeDimensionFromDds('<html>Bad gateway</html>')).toBeNull()
+  })
+
+  it('reads the size from the error of an out-of-range probe', () => {
+    const error = 'Error {\n    code = 400;\n    message = "Invalid constraint for time: stop >= size: 9999: 61";\n};'
+    expect(parseTimeSizeFromError(error)).toBe(61)
+    expect(parseTimeSizeFromError('Error { code = 500; message = "Internal"; };')).toBeNull()
+    expect(parseTimeSizeFromError(null)).toBeNull()
+  })
+})
+
+describe('DAP2 mapping', () => {
+  // Decoded variable as fetchDap2 returns it
+  function variable (dims, values, extra = {}) {
+    const data = Float64Array.from(values)
+    return { dims, data, values: data, attributes: {}, ...extra }
+  }
+
+  const time = variable(['time'], [-1645, 181], { attributes: { units: 'days since 1970-01-01' } })
+
+  const times = [Date.UTC(1965, 6, 1), Date.UTC(1970, 6, 1)]
+
+  it('maps altitude to rows per year with NaN as null', () => {
+    const parsed = altitudeFromDap2({
+      cross_shore: variable(['cross_shore'], [0, 10]),
+      time,
+      altitude: variable(['time', 'alongshore', 'cross_shore'], [1, Number.NaN, 3, 4], { shape: [2, 1, 2] }),
+    })
+    expect(parsed).toEqual({
+      crossShore: [0, 10],
+      years: ['1965', '1970'],
+      times,
+      altitudeByYear: [[1, null], [3, 4]],
+      topoDates: [null, null],
+      bathyDates: [null, null],
+    })
+  })
+
+  it('decodes the survey dates of each profile', () => {
+    const parsed = altitudeFromDap2({
+      cross_shore: variable(['cross_shore'], [0]),
+      time,
+      altitude: variable(['time', 'alongshore', 'cross_shore'], [1, 2], { shape: [2, 1, 1] }),
+      time_topo: variable(['time', 'alongshore'], [-1750, 200], { attributes: time.attributes }),
+      time_bathy: variable(['time', 'alongshore'], [Number.NaN, 150], { attributes: time.attributes }),
+    })
+    expect(parsed.topoDates).toEqual([Date.UTC(1965, 2, 18), Date.UTC(1970, 6, 20)])
+    expect(parsed.bathyDates).toEqual([null, Date.UTC(1970, 4, 31)])
+  })
+
+  it('rejects an altitude of the wrong shape', () => {
+    expect(() => altitudeFromDap2({
+      cross_shore: variable(['cross_shore'], [0, 10]),
+      time,
+      altitude: variable(['time', 'alongshore', 'cross_shore'], Array.from({ length: 8 }).fill(0), { shape: [2, 2, 2] }),
+    })).toThrow(/shape mismatch/)
+  })
+
+  it('splits an altitude hyperslab into one record per transect', () => {
+    const records = altitudeBlockFromDap2(2, {
+      cross_shore: variable(['cross_shore'], [0, 10]),
+      time,
+      // [time][alongshore][cross_shore]
+      altitude: variable(['time', 'alongshore', 'cross_shore'], [1, 2, 3, 4, 5, 6, 7, 8], { shape: [2, 2, 2] }),
+      time_topo: variable(['time', 'alongshore'], [-1750, Number.NaN, 200, 210], { attributes: time.attributes }),
+    })
+    expect(records.map(r => r.altitudeByYear)).toEqual([[[1, 2], [5, 6]], [[3, 4], [7, 8]]])
+    expect(records[1].topoDates).toEqual([null, Date.UTC(1970, 6, 30)])
+    expect(records[0].bathyDates).toEqual([null, null])
+  })
+
+  it('leaves optional series empty when they are not in the response', () => {
+    const parsed = yearSeriesFromDap2(DATASET_REGISTRY.bkl, {
+      time,
+      basal_coastline: variable(['time', 'alongshore'], [5, Number.NaN]),
+    })
+    expect(parsed).toEqual({ years: ['1965', '1970'], times, basalCoastline: [5, null], testingCoastline: [] })
+  })
+})
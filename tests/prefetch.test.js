@@ -0,0 +1,14 @@
+import { describe, expect, it } from 'vitest'
+import { neighbourIndices } from '@/utils/prefetch'
+
+describe('neighbourIndices', () => {
+  it('lists the nearest transects first, next before previous', () => {
+    expect(neighbourIndices(5, 2, 10)).toEqual([6, 4, 7, 3])
+  })
+
+  it('stays inside the catalog', () => {
+    expect(neighbourIndices(0, 2, 3)).toEqual([1, 2])
+    expect(neighbourIndices(2, 1, 3)).toEqual([1])
+    expect(neighbourIndices(0, 2, 1)).toEqual([])
+  })
+})
@@ -0,0 +1,137 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { configureRequests, createAbortSlot, request } from '@/utils/request'
+
+// `fetch` answering from a list of statuses (or errors to throw) in turn; `calls` lists the URLs
+function scriptedFetch (answers, { delay = 0 } = {}) {
+  const calls = []
+  const fetch = vi.fn(async (url, { signal } = {}) => {
+    calls.push(url)
+    const answer = answers.length > 1 ? answers.shift() : answers[0]
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(resolve, delay)
+      signal?.addEventListener('abort', () => {
+        clearTimeout(timer)
+        reject(signal.reason)
+      })
+    })
+    if (answer instanceof Error) {
+      throw answer
+    }
+    return new Response(answer === 304 ? null : `body ${calls.length}`, { status: answer })
+  })
+  vi.stubGlobal('fetch', fetch)
+  return { calls, fetch }
+}
+
+beforeEach(() => {
+  vi.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+  vi.restoreAllMocks()
+  configureRequests({ timeoutMs: 60_000, maxConcurrent: 6 })
+})
+
+describe('request', () => {
+  it('retries a busy server and network errors', async () => {
+    const { calls } = scriptedFetch([503, new TypeError('Failed to fetch'), 200])
+    const res = await request('http://test/a')
+    expect(res.status).toBe(200)
+    expect(await res.text()).toBe('body 3')
+    expect(calls).toHaveLength(3)
+  })
+
+  it('returns other errors at once and the last answer when the retries are used up', async () => {
+    scriptedFetch([404])
+    expect((await request('http://test/a')).status).toBe(404)
+
+    const { calls } = scriptedFetch([500])
+    expect((await request('http://test/b')).status).toBe(500)
+    expect(calls).toHaveLength(4)
+  })
+
+  it('times out a request that does not answer', async () => {
+    configureRequests({ timeoutMs: 5 })
+    const { calls } = scriptedFetch([200], { delay: 50 })
+    await expect(request('http://test/a')).rejects.toThrow(/timed out/)
+    expect(calls).toHaveLength(4)
+  })
+
+  it('shares one fetch between concurrent callers', async () => {
+    const { calls } = scriptedFetch([200], { delay: 5 })
+    const [a, b] = await Promise.all([request('http://test/a'), request('http://test/a')])
+    expect(await a.text()).toBe('body 1')
+    expect(await b.text()).toBe('body 1')
+    expect(calls).toHaveLength(1)
+
+    // Conditional requests are separate
+    await Promise.all([request('http://test/a'), request('http://test/a', { headers: { 'If-None-Match': '"v1"' } })])
+    expect(calls).toHaveLength(3)
+  })
+
+  it('aborts a shared fetch only when every caller has aborted', async () => {
+    scriptedFetch([200], { delay: 5 })
+    const first = new AbortController()
+    const second = new AbortController()
+    const a = request('http://test/a', { signal: first.signal })
+    const b = request('http://test/a', { signal: second.signal })
+    first.abort()
+    await expect(a).rejects.toHaveProperty('name', 'AbortError')
+    expect((await b).status).toBe(200)
+
+    const c = request('http://test/c', { signal: first.signal })
+    await expect(c).rejects.toHaveProperty('name', 'AbortError')
+    const { calls, fetch } = scriptedFetch([200], { delay: 1000 })
+    const d = request('http://test/d', { signal: second.signal })
+    await vi.waitFor(() => expect(calls).toEqual(['http://test/d']))
+    second.abort()
+    await expect(d).rejects.toHaveProperty('name', 'AbortError')
+    expect(fetch.mock.calls.at(-1)[1].signal.aborted).toBe(true)
+  })
+
+  it('counts the bytes of metered requests only', async () => {
+    scriptedFetch([200], { delay: 5 })
+    const meter = { bytes: 0 }
+    await Promise.all([request('http://test/a', { meter }), request('http://test/a'), request('http://test/b')])
+    expect(meter.bytes).toBe('body 1'.length)
+  })
+
+  it('removes its abort listeners after backoffs and queueing', async () => {
+    configureRequests({ maxConcurrent: 1 })
+    const statuses = [503, 503, 200]
+    vi.stubGlobal('fetch', async () => new Response('ok', { status: statuses.length > 1 ? statuses.shift() : statuses[0] }))
+    const add = vi.spyOn(AbortSignal.prototype, 'addEventListener')
+    const remove = vi.spyOn(AbortSignal.prototype, 'removeEventListener')
+    const signal = new AbortController().signal
+    await Promise.all([request('http://test/a', { signal }), request('http://test/b', { signal })])
+    expect(remove.mock.calls.length).toBe(add.mock.calls.length)
+  })
+
+  it('limits the number of requests running at once', async () => {
+    configureRequests({ maxConcurrent: 2 })
+    let running = 0
+    let most = 0
+    vi.stubGlobal('fetch', async () => {
+      running++
+      most = Math.max(most, running)
+      await new Promise(resolve => setTimeout(resolve, 5))
+      running--
+      return new Response('ok')
+    })
+    await Promise.all(['a', 'b', 'c', 'd', 'e'].map(path => request(`http://test/${path}`)))
+    expect(most).toBe(2)
+  })
+})
+
+describe('createAbortSlot', () => {
+  it('aborts the previous load unless it was for the same key', () => {
+    const slot = createAbortSlot()
+    const first = slot.replace('a')
+    expect(slot.replace('a')).toBe(first)
+    const second = slot.replace('b')
+    expect(first.signal.aborted).toBe(true)
+    expect(slot.isCurrent(second)).toBe(true)
+    expect(slot.isCurrent(first)).toBe(false)
+  })
+})
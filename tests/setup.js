@@ -0,0 +1,6 @@
+import { configureRequests } from '@/utils/request'
+// IndexedDB for utils/cache.js; the tests run in the node environment, which has none
+import 'fake-indexeddb/auto'
+
+// Retries without waiting between attempts
+configureRequests({ backoffMs: 0 })
@@ -0,0 +1,349 @@
+import { createPinia, setActivePinia } from 'pinia'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { useAppStore } from '@/stores/app'
+import { cacheClear, cacheGet } from '@/utils/cache'
+import { opendapFetch } from './helpers/opendapFetch'
+
+// Profile requests in either format, and in the fallback format only
+const TRANSECT_DATA = /transect\.nc\.(dods|ascii)\?cross_shore/
+const TRANSECT_ASCII = /transect\.nc\.ascii\?cross_shore/
+const DATA_REQUEST = /\.(dods|ascii)\?/
+// The binary response fails, so data requests take the ASCII fallback
+const NO_DODS = { dods: 501 }
+
+function countCalls (calls, pattern) {
+  return calls.filter(url => pattern.test(url)).length
+}
+
+// Fresh store on a fresh fetch; the IndexedDB cache is emptied per test
+async function setup (options) {
+  const server = opendapFetch(options)
+  vi.stubGlobal('fetch', server.fetch)
+  setActivePinia(createPinia())
+  return { store: useAppStore(), server }
+}
+
+beforeEach(async () => {
+  await cacheClear()
+  // The DAP2 → ASCII fallback warns on every request
+  vi.spyOn(console, 'warn').mockImplementation(() => {})
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+  vi.restoreAllMocks()
+  vi.useRealTimers()
+})
+
+describe('fetchAltitudeProfiles', () => {
+  it('loads a transect from the binary DAP2 response', async () => {
+    const { store, server } = await setup()
+    await store.fetchAltitudeProfiles(3)
+
+    expect(store.error).toBeNull()
+    expect(store.chartReady).toBe(true)
+    expect(countCalls(server.calls, TRANSECT_DATA)).toBe(1)
+    expect(countCalls(server.calls, TRANSECT_ASCII)).toBe(0)
+    expect(store.years).toHaveLength(12)
+    expect(store.crossShore).toHaveLength(121)
+    // _FillValue in the DAS masks the missing deep points of the first survey
+    expect(store.altitudeByYear[0].at(-1)).toBeNull()
+    expect(store.bathyDates[0]).toBeNull()
+    expect(store.topoDates[0]).toBeTypeOf('number')
+  })
+
+  it('reads the same data from the binary and the ASCII response', async () => {
+    const binary = await setup()
+    await binary.store.fetchAltitudeProfiles(3)
+    await binary.store.fetchDataset('bkl', 3)
+    await cacheClear()
+
+    const ascii = await setup({ fail: NO_DODS })
+    await ascii.store.fetchAltitudeProfiles(3)
+    await ascii.store.fetchDataset('bkl', 3)
+    expect(countCalls(ascii.server.calls, TRANSECT_ASCII)).toBe(1)
+    for (const key of ['years', 'times', 'crossShore', 'topoDates', 'bathyDates']) {
+      expect(ascii.store[key]).toEqual(binary.store[key])
+    }
+    // Float32 altitudes come through the ASCII text at float32 precision
+    for (const [t, row] of binary.store.altitudeByYear.entries()) {
+      for (const [x, value] of row.entries()) {
+        if (value === null) {
+          expect(ascii.store.altitudeByYear[t][x]).toBeNull()
+        } else {
+          expect(ascii.store.altitudeByYear[t][x]).toBeCloseTo(value, 5)
+        }
+      }
+    }
+    expect(ascii.store.datasets.bkl.data).toEqual(binary.store.datasets.bkl.data)
+  })
+
+  it('loads a transect through the ASCII fallback', async () => {
+    const { store } = await setup({ fail: NO_DODS })
+    await store.fetchAltitudeProfiles(3)
+
+    expect(store.error).toBeNull()
+    expect(store.loading).toBe(false)
+    expect(store.chartReady).toBe(true)
+    expect(store.timeDimensionSizes.transect).toBe(12)
+    expect(store.years).toHaveLength(12)
+    expect(store.crossShore).toHaveLength(121)
+    expect(store.altitudeByYear[0].at(-1)).toBeNull()
+    expect(store.times).toHaveLength(12)
+    expect(store.topoDates[0]).toBeTypeOf('number')
+    expect(store.sourceUrl).toMatch(/altitude\[0:1:11\]\[3\]/)
+  })
+
+  it('serves a repeated request from the cache', async () => {
+    const first = await setup()
+    await first.store.fetchAltitudeProfiles(3)
+    expect(countCalls(first.server.calls, TRANSECT_DATA)).toBe(1)
+
+    const second = await setup()
+    await second.store.fetchAltitudeProfiles(3)
+    expect(countCalls(second.server.calls, TRANSECT_DATA)).toBe(0)
+    expect(second.store.altitudeByYear).toEqual(first.store.altitudeByYear)
+    expect(second.store.fetchedAt).toBe(first.store.fetchedAt)
+    expect(first.store.fromCache).toBe(false)
+    expect(second.store.fromCache).toBe(true)
+  })
+
+  it('revalidates a stale entry and keeps it on 304', async () => {
+    const first = await setup()
+    await first.store.fetchAltitudeProfiles(3)
+    const cached = await cacheGet(first.store.sourceUrl)
+    expect(cached.etag).toBe('"fixture-v1"')
+
+    vi.useFakeTimers({ now: Date.now() + 2 * 24 * 60 * 60 * 1000, toFake: ['Date'] })
+    const second = await setup()
+    await second.store.fetchAltitudeProfiles(3)
+    // The stale copy is shown at once; revalidation runs in the background
+    expect(second.store.fetchedAt).toBe(cached.fetchedAt)
+    expect(second.store.refreshing).toBe(true)
+    await vi.waitFor(async () => {
+      expect((await cacheGet(first.store.sourceUrl)).fetchedAt).toBeGreaterThan(cached.fetchedAt)
+    })
+    expect(second.store.refreshing).toBe(false)
+    expect(second.store.refreshError).toBeNull()
+    expect(countCalls(second.server.calls, TRANSECT_DATA)).toBe(1)
+  })
+
+  it('reports a failed request', async () => {
+    const { store } = await setup({ fail: { ...NO_DODS, ascii: 500 } })
+    await store.fetchAltitudeProfiles(3)
+
+    expect(store.error).toBe('Failed to fetch OpenDAP data (500)')
+    expect(store.chartReady).toBe(false)
+    expect(store.loading).toBe(false)
+  })
+
+  it('aborts the previous request when another transect is loaded', async () => {
+    const { store } = await setup({ delay: 20 })
+    await store.fetchDatasetTimeDimensionSize('transect')
+    const first = store.fetchAltitudeProfiles(1)
+    const second = store.fetchAltitudeProfiles(4)
+    await Promise.all([first, second])
+
+    expect(store.error).toBeNull()
+    expect(store.loading).toBe(false)
+    expect(store.sourceUrl).toMatch(/\]\[4\]\[/)
+    // Only the second transect reached the cache
+    expect(await cacheGet(store.sourceUrl)).toBeTruthy()
+    expect(await cacheGet(store.sourceUrl.replace('][4][', '][1]['))).toBeFalsy()
+  })
+
+  it('joins a repeated load of the same transect instead of restarting it', async () => {
+    const { store, server } = await setup({ delay: 20 })
+    await store.fetchDatasetTimeDimensionSize('transect')
+    await Promise.all([store.fetchAltitudeProfiles(3), store.fetchAltitudeProfiles(3)])
+
+    expect(store.error).toBeNull()
+    expect(store.chartReady).toBe(true)
+    expect(countCalls(server.calls, TRANSECT_DATA)).toBe(1)
+  })
+
+  it('retries a server error', async () => {
+    const { store, server } = await setup({ fail: { ...NO_DODS, ascii: 503 } })
+    await store.fetchAltitudeProfiles(3)
+    expect(store.error).toBe('Failed to fetch OpenDAP data (503)')
+    // One attempt and three retries
+    expect(countCalls(server.calls, TRANSECT_ASCII)).toBe(4)
+  })
+
+  it('rejects an index outside the catalog', async () => {
+    const { store, server } = await setup()
+    await store.fetchAltitudeProfiles(9999)
+    expect(store.error).toBe('Invalid transect index')
+    expect(server.calls).toHaveLength(0)
+  })
+})
+
+describe('load status', () => {
+  it('keeps the cached copy and reports a failed background refresh', async () => {
+    const first = await setup()
+    await first.store.fetchDataset('mkl', 1)
+
+    vi.useFakeTimers({ now: Date.now() + 2 * 24 * 60 * 60 * 1000, toFake: ['Date'] })
+    const second = await setup({ fail: { ...NO_DODS, ascii: 503 } })
+    await second.store.fetchDataset('mkl', 1)
+    const state = second.store.datasets.mkl
+    expect(state.fromCache).toBe(true)
+    await vi.waitFor(() => {
+      expect(state.refreshError).toBe('Failed to fetch momentary coastline data (503)')
+    })
+    expect(state.refreshing).toBe(false)
+    expect(state.ready).toBe(true)
+    expect(second.store.staleErrors).toHaveLength(1)
+  })
+
+  it('lists failed loads and retries them', async () => {
+    const { store } = await setup({ fail: { ...NO_DODS, ascii: 500 } })
+    await Promise.all([store.fetchTransectIdList(), store.fetchAltitudeProfiles(3), store.fetchDataset('bkl', 3)])
+    expect(store.statusErrors.map(item => item.label)).toEqual(['Transect catalog', 'Altitude profiles', 'BKL/TKL'])
+
+    vi.stubGlobal('fetch', opendapFetch().fetch)
+    await store.retryFailed()
+    expect(store.statusErrors).toEqual([])
+    expect(store.chartReady).toBe(true)
+    expect(store.datasets.bkl.ready).toBe(true)
+  })
+})
+
+describe('fetchTransectRecords', () => {
+  it('fetches each run of consecutive transects with one hyperslab request', async () => {
+    const first = await setup()
+    await first.store.fetchTransectIdList()
+    const records = await first.store.fetchTransectRecords([5, 1, 2, 3])
+    expect(records.map(r => r.index)).toEqual([5, 1, 2, 3])
+    expect(records.every(r => r.error === null && r.profile.altitudeByYear.length === 12)).toBe(true)
+    expect(records[1].id).toBe(7_003_900)
+    expect(records[2].datasets.mhw.years).toHaveLength(56)
+    expect(countCalls(first.server.calls, TRANSECT_DATA)).toBe(2)
+    expect(countCalls(first.server.calls, /\.dods\?.*altitude\[0:1:11\]\[1:1:3\]/)).toBe(1)
+
+    // Cached per transect: single-transect loads and the same batch need no requests
+    const second = await setup()
+    await second.store.fetchAltitudeProfiles(2)
+    expect(second.store.altitudeByYear).toEqual(records[2].profile.altitudeByYear)
+    await second.store.fetchTransectRecords([1, 2, 3])
+    expect(countCalls(second.server.calls, DATA_REQUEST)).toBe(0)
+  })
+
+  it('reports failed requests per record', async () => {
+    const { store } = await setup({ fail: { ...NO_DODS, ascii: 503 } })
+    const [record] = await store.fetchTransectRecords([1])
+    expect(record.profile).toBeNull()
+    expect(record.error).toMatch(/Failed to fetch OpenDAP data \(1 transects\) \(503\)/)
+  })
+})
+
+describe('prefetchNeighbours', () => {
+  // Idle at once
+  beforeEach(() => {
+    vi.stubGlobal('requestIdleCallback', callback => setTimeout(callback, 0))
+    vi.stubGlobal('cancelIdleCallback', id => clearTimeout(id))
+  })
+
+  it('warms the cache for the nearest transects on both sides', async () => {
+    const first = await setup()
+    await first.store.fetchTransectIdList()
+    expect(await first.store.prefetchNeighbours(3, { count: 1 })).toEqual([4, 2])
+
+    const second = await setup()
+    await second.store.fetchAltitudeProfiles(4)
+    await second.store.fetchAllDatasets(2)
+    expect(second.store.chartReady).toBe(true)
+    expect(countCalls(second.server.calls, DATA_REQUEST)).toBe(0)
+  })
+
+  it('stops at the download budget', async () => {
+    const { store } = await setup()
+    await store.fetchTransectIdList()
+    expect(await store.prefetchNeighbours(3, { count: 2, budgetBytes: 1 })).toEqual([4])
+  })
+
+  // Catalog and time sizes loaded, then every data request of the prefetch left unanswered
+  async function heldPrefetch () {
+    const { store, server } = await setup()
+    await store.fetchTransectIdList()
+    await store.fetchAllDatasetTimeDimensions()
+    const release = server.hold()
+    const run = store.prefetchNeighbours(3)
+    await vi.waitFor(() => expect(countCalls(server.calls, TRANSECT_DATA)).toBe(1))
+    return { store, server, run, release }
+  }
+
+  it('stops when it is cancelled', async () => {
+    const { store, server, run, release } = await heldPrefetch()
+    store.cancelPrefetch()
+    release()
+    expect(await run).toEqual([])
+    expect(countCalls(server.calls, TRANSECT_DATA)).toBe(1)
+    expect(await cacheGet(server.calls.find(url => TRANSECT_DATA.test(url)).replace(/\.\w+\?/, '?'))).toBeFalsy()
+  })
+
+  it('finishes the transect being fetched when it is the one navigated to', async () => {
+    const { store, run, release } = await heldPrefetch()
+    store.cancelPrefetch(4)
+    release()
+    expect(await run).toEqual([4])
+  })
+})
+
+describe('fetchDatasetTimeDimensionSize', () => {
+  it('falls back to the ASCII error probe when the DDS fails', async () => {
+    const { store } = await setup({ fail: { dds: 500 }, probe: 42 })
+    expect(await store.fetchDatasetTimeDimensionSize('mkl')).toBe(42)
+  })
+
+  it('uses the built-in size when both lookups fail', async () => {
+    const { store } = await setup({ fail: { dds: 500, ascii: 500 } })
+    expect(await store.fetchDatasetTimeDimensionSize('mkl')).toBe(61)
+  })
+
+  it('shares one lookup between concurrent callers', async () => {
+    const { store, server } = await setup()
+    const sizes = await Promise.all([store.fetchDatasetTimeDimensionSize('df'), store.fetchDatasetTimeDimensionSize('df')])
+    expect(sizes).toEqual([56, 56])
+    expect(countCalls(server.calls, /DF\.nc\.dds/)).toBe(1)
+  })
+})
+
+describe('fetchDataset', () => {
+  it('loads a registry dataset with fill values as null', async () => {
+    const { store } = await setup()
+    await store.fetchDataset('bkl', 1)
+
+    const state = store.datasets.bkl
+    expect(state.error).toBeNull()
+    expect(state.ready).toBe(true)
+    expect(state.data.years).toHaveLength(56)
+    expect(state.data.testingCoastline[0]).toBeNull()
+    expect(state.data.testingCoastline.at(-1)).toBeTypeOf('number')
+  })
+
+  it('keeps the error per dataset', async () => {
+    const { store } = await setup({ fail: { ...NO_DODS, ascii: 503 } })
+    await store.fetchAllDatasets(1)
+    expect(store.datasets.mhw.error).toBe('Failed to fetch mean high water cross data (503)')
+    expect(store.datasets.mhw.ready).toBe(false)
+  })
+})
+
+describe('catalog', () => {
+  it('loads the transect ids once', async () => {
+    const { store, server } = await setup()
+    await store.fetchTransectIdList()
+    await store.fetchTransectIdList()
+
+    expect(store.idList).toEqual([7_003_800, 7_003_900, 7_004_000, 8_009_325, 8_009_400, 9_010_000])
+    expect(countCalls(server.calls, /\.dods\?id/)).toBe(1)
+  })
+
+  it('reports a catalog that cannot be read', async () => {
+    const { store } = await setup({ fail: { ...NO_DODS, ascii: 404 } })
+    await store.fetchTransectIdList()
+    expect(store.idsError).toBe('Failed to fetch transect catalog (404)')
+    expect(store.loadingIds).toBe(false)
+  })
+})
@@ -0,0 +1,25 @@
+import { describe, expect, it } from 'vitest'
+import { evaluateToetsing, latestStatus, statusLabel } from '@/utils/toetsing'
+
+describe('evaluateToetsing', () => {
+  const basal = { years: ['1999', '2001', '2002', '2003'], basalCoastline: [100, 100, 100, null], testingCoastline: [null, 104, 96, 101] }
+  const momentary = { years: ['1999', '2001', '2002'], momentaryCoastline: [90, 95, 110] }
+
+  it('fails a year when the TKL or the MKL is landward of the BKL', () => {
+    const rows = evaluateToetsing(basal, momentary)
+    expect(rows.map(row => row.status)).toEqual(['fail', 'fail', 'fail', 'unknown'])
+    expect(rows.map(row => row.failed)).toEqual([['MKL'], ['MKL'], ['TKL'], []])
+    expect(rows[1]).toMatchObject({ mklMargin: -5, tklMargin: 4 })
+    expect(statusLabel(rows[1])).toBe('Fail: MKL')
+  })
+
+  it('passes a year when every coastline it has is at or seaward of the BKL', () => {
+    const rows = evaluateToetsing(basal, { years: ['1999', '2001'], momentaryCoastline: [100, 120] })
+    expect(rows.slice(0, 2).map(row => row.status)).toEqual(['pass', 'pass'])
+    expect(statusLabel(rows[0])).toBe('Pass')
+  })
+
+  it('finds the latest year with a status', () => {
+    expect(latestStatus(evaluateToetsing(basal, null)).year).toBe('2002')
+  })
+})
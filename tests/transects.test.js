@@ -0,0 +1,13 @@
+import { describe, expect, it } from 'vitest'
+import { indexRanges } from '@/utils/transects'
+
+describe('indexRanges', () => {
+  it('groups consecutive indices in any order', () => {
+    expect(indexRanges([5, 1, 2, 3, 2, 9])).toEqual([[1, 3], [5, 5], [9, 9]])
+    expect(indexRanges([])).toEqual([])
+  })
+
+  it('splits runs longer than the block size', () => {
+    expect(indexRanges([0, 1, 2, 3, 4], 2)).toEqual([[0, 1], [2, 3], [4, 4]])
+  })
+})
@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest'
+import { linearFit, trendAnalysis, trendPoints, trendValue } from '@/utils/trend'
+
+const YEARS = Array.from({ length: 10 }, (_, i) => String(2000 + i))
+
+describe('trendPoints', () => {
+  it('skips missing values and years outside the window', () => {
+    expect(trendPoints(['2001', '2000', '', 'x', '2002', '2003'], [11, 10, 5, 5, null, 13], { from: 2000, to: 2002 })).toEqual([[2000, 10], [2001, 11]])
+  })
+})
+
+describe('linearFit', () => {
+  it('matches a least-squares fit worked out by hand', () => {
+    // x̄ = 1, ȳ = 4/3, Sxx = 2, Sxy = 3, Syy = 42/9, SSE = 42/9 − 1.5 × 3 = 1/6
+    const fit = linearFit([[0, 0], [1, 1], [2, 3]])
+    expect(fit.slope).toBeCloseTo(1.5, 12)
+    expect(fit.sse).toBeCloseTo(1 / 6, 12)
+    expect(fit.r2).toBeCloseTo(27 / 28, 12)
+    // se = √(SSE / (n − 2) / Sxx) with t = 12.706 for one degree of freedom
+    expect(fit.se).toBeCloseTo(Math.sqrt(1 / 12), 12)
+    expect(fit.ci[1] - fit.slope).toBeCloseTo(12.706 * Math.sqrt(1 / 12), 10)
+    expect(trendValue(fit, 4)).toBeCloseTo(4 / 3 + 1.5 * 3, 12)
+  })
+
+  it('needs three points over more than one year', () => {
+    expect(linearFit([[0, 0], [1, 1]])).toBeNull()
+    expect(linearFit([[1, 0], [1, 1], [1, 2]])).toBeNull()
+  })
+})
+
+describe('trendAnalysis', () => {
+  it('finds one nourishment of 20 m in 2005', () => {
+    // 2 m/year throughout, with a seaward step of 20 m between 2004 and 2005
+    const values = YEARS.map((year, i) => 100 + 2 * i + (i >= 5 ? 20 : 0))
+    const { fit, breakpoints, segments } = trendAnalysis(YEARS, values)
+    expect(fit.n).toBe(10)
+    expect(breakpoints).toHaveLength(1)
+    expect(breakpoints[0].year).toBe(2005)
+    expect(breakpoints[0].jump).toBeCloseTo(20, 9)
+    expect(breakpoints[0].nourishment).toBe(true)
+    expect(segments.map(s => [s.from, s.to])).toEqual([[2000, 2004], [2005, 2009]])
+    for (const segment of segments) {
+      expect(segment.slope).toBeCloseTo(2, 12)
+    }
+  })
+
+  it('finds no breakpoint on a straight line', () => {
+    const result = trendAnalysis(YEARS, YEARS.map((year, i) => 50 - 0.5 * i))
+    expect(result.breakpoints).toEqual([])
+    expect(result.segments).toHaveLength(1)
+    expect(result.fit.slope).toBeCloseTo(-0.5, 12)
+  })
+})
@@ -0,0 +1,40 @@
+import { describe, expect, it } from 'vitest'
+import { profileVolume, volumeSeries } from '@/utils/volume'
+
+// A trapezoid 6 m high: up from x = 0 to 10, flat to 20, down to 30
+const CROSS_SHORE = [0, 10, 20, 30]
+const TRAPEZOID = [0, 6, 6, 0]
+const BOUNDS = { xMin: 5, xMax: 25, zLower: 1, zUpper: 5 }
+
+describe('profileVolume', () => {
+  it('clips a trapezoid at both elevation bounds and the window', () => {
+    // Flanks from z = 3 at x = 5 (and 25), capped at 5 from x = 8⅓ (and 21⅔):
+    // 2 × ((2 + 4) / 2 × 10/3 + 4 × 5/3) + 4 × 10 = 220/3
+    expect(profileVolume(CROSS_SHORE, TRAPEZOID, BOUNDS)).toBeCloseTo(220 / 3, 10)
+  })
+
+  it('counts nothing below the lower bound', () => {
+    // Clamped heights 0, 1, 1, 0 above z = 1 at x = 5, 10, 20, 25
+    expect(profileVolume(CROSS_SHORE, [0, 2, 2, 0], BOUNDS)).toBeCloseTo(15, 10)
+    expect(profileVolume(CROSS_SHORE, [-1, 0, 0, -1], BOUNDS)).toBe(0)
+  })
+
+  it('bridges gaps inside the window and returns null when the window is not covered', () => {
+    expect(profileVolume(CROSS_SHORE, [0, null, 6, 0], { ...BOUNDS, zUpper: 10 })).toBeCloseTo(
+      // z = 1.5 at x = 5, a straight line up to 6 at x = 20, down to 3 at x = 25
+      (0.5 + 5) / 2 * 15 + (5 + 2) / 2 * 5, 10)
+    expect(profileVolume(CROSS_SHORE, [null, 6, 6, 0], BOUNDS)).toBeNull()
+    expect(profileVolume(CROSS_SHORE, TRAPEZOID, { ...BOUNDS, zUpper: 0 })).toBeNull()
+  })
+})
+
+describe('volumeSeries', () => {
+  it('takes the change against the last year with a volume', () => {
+    const series = volumeSeries(['2000', '2001', '2002'], CROSS_SHORE, [TRAPEZOID, [null, 6, 6, 0], [0, 2, 2, 0]], BOUNDS)
+    expect(series.map(row => row.year)).toEqual(['2000', '2001', '2002'])
+    expect(series[0].volume).toBeCloseTo(220 / 3, 10)
+    expect(series[0].change).toBeNull()
+    expect(series[1]).toEqual({ year: '2001', volume: null, change: null })
+    expect(series[2].change).toBeCloseTo(15 - 220 / 3, 10)
+  })
+})
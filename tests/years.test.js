@@ -0,0 +1,29 @@
+import { describe, expect, it } from 'vitest'
+import { parseYearSelection, selectYears, yearFilter } from '@/utils/years'
+
+const terms = text => parseYearSelection(text).terms
+
+describe('selectYears', () => {
+  it('picks years, ranges with a step and the last surveys', () => {
+    const years = ['1965', '1970', '1975', '1980', '1985']
+    expect([...selectYears(terms('1970,1980-'), years)]).toEqual(['1970', '1980', '1985'])
+    expect([...selectYears(terms('1965-/10'), years)]).toEqual(['1965', '1975', '1985'])
+    expect([...selectYears(terms('last2'), years)]).toEqual(['1980', '1985'])
+    expect(selectYears(terms('all'), years)).toBeNull()
+  })
+})
+
+describe('yearFilter', () => {
+  it('resolves "last N" and "everyN" against each chart\'s own years', () => {
+    const surveys = ['1965', '1970', '1975', '1980']
+    const series = ['1978', '1979', '1980', '1981', '1982']
+    const last2 = terms('last2')
+    expect(surveys.filter(yearFilter(last2, surveys))).toEqual(['1975', '1980'])
+    expect(series.filter(yearFilter(last2, series))).toEqual(['1981', '1982'])
+    expect(series.filter(yearFilter(terms('every2'), series))).toEqual(['1978', '1980', '1982'])
+  })
+
+  it('shows every year without a selection', () => {
+    expect(yearFilter(null, ['1965'])('2020')).toBe(true)
+  })
+})